@@ -0,0 +1,197 @@
+import eventBus from '../utils/EventBus.js';
+
+/**
+ * Plays layered music for the story: each track is a set of looping stems that start together
+ * on the audio clock, so layers can be faded in and out without drifting apart.
+ *
+ * A track definition lists:
+ * - stems: map of layer names to sound file URLs
+ * - layers: layers playing when the track starts
+ * - events: map of game event names (see EventBus.EVENTS) to layer changes:
+ *   - add: layers added one per event, in order, so repeated events build the music up
+ *   - drop: layers faded out by the event
+ */
+export class AdaptiveMusic {
+  /**
+   * Create a new AdaptiveMusic
+   * @param {AudioManager} audioManager - Plays the stems on its music bus
+   * @param {Object} options - Music options
+   */
+  constructor(audioManager, options = {}) {
+    this.audioManager = audioManager;
+
+    // Default options
+    const defaultOptions = {
+      crossfadeDuration: 2.0, // Seconds, between tracks
+      layerFadeDuration: 1.5, // Seconds, when layers are added or dropped
+      startDelay: 0.1 // Seconds, so all stems can be scheduled before the first one starts
+    };
+
+    this.options = { ...defaultOptions, ...options };
+
+    // Track definitions by name
+    this.tracks = {};
+
+    // Track being played: { name, definition, voices, activeLayers }
+    this.current = null;
+  }
+
+  /**
+   * Set the available tracks
+   * @param {Object} tracks - Track definitions by name
+   */
+  loadTracks(tracks) {
+    this.tracks = { ...tracks };
+  }
+
+  /**
+   * Crossfade to a track. Playing the current track again keeps it going.
+   * @param {string|null} name - Track name, or null for silence
+   * @param {Object} options - Playback options ({ fadeDuration } in seconds)
+   * @returns {Promise} - Resolves when the track's stems have started
+   */
+  async play(name, options = {}) {
+    if (this.current && this.current.name === name) return;
+
+    const fadeDuration = options.fadeDuration ?? this.options.crossfadeDuration;
+
+    this.stop({ fadeDuration });
+    if (!name) return;
+
+    const definition = this.tracks[name];
+    if (!definition) {
+      console.warn(`Music track not found: ${name}`);
+      return;
+    }
+
+    const track = {
+      name,
+      definition,
+      voices: {},
+      activeLayers: new Set(definition.layers || [])
+    };
+    this.current = track;
+
+    // Listen from the start: layers earned while the stems load are faded in when they start
+    this.listenForEvents(track);
+
+    try {
+      // Stems are registered as sounds named after the track and layer
+      const soundMap = {};
+      for (const [layer, url] of Object.entries(definition.stems || {})) {
+        soundMap[this.getStemId(name, layer)] = url;
+      }
+      await this.audioManager.preloadSounds(soundMap);
+
+      // Another track was requested while loading
+      if (this.current !== track || !this.audioManager.context) return;
+
+      const when = this.audioManager.getCurrentTime() + this.options.startDelay;
+
+      for (const layer of Object.keys(definition.stems || {})) {
+        const voice = this.audioManager.createVoice(this.getStemId(name, layer), this.audioManager.buses.music, {
+          volume: 0,
+          loop: true,
+          rate: 1.0,
+          when
+        });
+
+        if (!voice) continue;
+
+        track.voices[layer] = voice;
+        if (track.activeLayers.has(layer)) {
+          this.audioManager.fadeGain(voice.gain, 1.0, fadeDuration);
+        }
+      }
+    } catch (error) {
+      console.error(`Error playing music track ${name}:`, error);
+    }
+  }
+
+  /**
+   * Fade out the current track
+   * @param {Object} options - Stop options ({ fadeDuration } in seconds)
+   */
+  stop(options = {}) {
+    const track = this.current;
+    if (!track) return;
+
+    this.current = null;
+
+    eventBus.offScope(track);
+
+    const fadeDuration = options.fadeDuration ?? this.options.crossfadeDuration;
+    for (const voice of Object.values(track.voices)) {
+      voice.stop(fadeDuration);
+    }
+  }
+
+  /**
+   * Fade a layer of the current track in
+   * @param {string} layer - Layer name
+   */
+  addLayer(layer) {
+    this.setLayerActive(layer, true);
+  }
+
+  /**
+   * Fade a layer of the current track out
+   * @param {string} layer - Layer name
+   */
+  dropLayer(layer) {
+    this.setLayerActive(layer, false);
+  }
+
+  /**
+   * Fade a layer in or out
+   * @param {string} layer - Layer name
+   * @param {boolean} active - Whether the layer should be heard
+   */
+  setLayerActive(layer, active) {
+    const track = this.current;
+    if (!track || track.activeLayers.has(layer) === active) return;
+
+    if (active) {
+      track.activeLayers.add(layer);
+    } else {
+      track.activeLayers.delete(layer);
+    }
+
+    // Stems that are still loading pick up the layer when they start
+    const voice = track.voices[layer];
+    if (voice) {
+      this.audioManager.fadeGain(voice.gain, active ? 1.0 : 0, this.options.layerFadeDuration);
+    }
+  }
+
+  /**
+   * Change layers in response to the track's events
+   * @param {Object} track - Track being played
+   */
+  listenForEvents(track) {
+    for (const [eventName, change] of Object.entries(track.definition.events || {})) {
+      const handler = () => {
+        const next = (change.add || []).find(layer => !track.activeLayers.has(layer));
+        if (next) {
+          this.addLayer(next);
+        }
+
+        for (const layer of change.drop || []) {
+          this.dropLayer(layer);
+        }
+      };
+
+      eventBus.on(eventName, handler, { scope: track });
+    }
+  }
+
+  /**
+   * Get the sound ID of a stem
+   * @param {string} name - Track name
+   * @param {string} layer - Layer name
+   * @returns {string} - Sound ID
+   */
+  getStemId(name, layer) {
+    return `music:${name}:${layer}`;
+  }
+}
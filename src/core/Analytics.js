@@ -0,0 +1,299 @@
+import eventBus, { EventBus } from '../utils/EventBus.js';
+
+/**
+ * Records how a child plays each activity, on this device only, for the parent report.
+ *
+ * A session starts when the game loads. For each activity (story scene) it keeps:
+ * - plays: times the activity was started
+ * - times: seconds taken to complete it, once per completion
+ * - taps: taps by target ('duck', 'cloud')
+ * - repeats: taps on something already done (e.g. a cloud that was already counted)
+ * - counted: clouds counted
+ * - mistakes: counting mistakes (wrong or repeated taps), from finished counting rounds
+ * - successRates: success rate of each finished counting round (0 to 1)
+ * Recent sessions are kept in localStorage; nothing is sent anywhere.
+ */
+export class Analytics {
+  /**
+   * Create a new Analytics
+   * @param {Game} game - Reference to the main game instance
+   * @param {Object} options - Analytics options
+   */
+  constructor(game, options = {}) {
+    this.game = game;
+
+    // Default options
+    const defaultOptions = {
+      maxSessions: 20 // Sessions kept, including the current one
+    };
+
+    this.options = { ...defaultOptions, ...options };
+
+    // Earlier sessions, oldest first
+    this.sessions = [];
+    this.session = Analytics.createSession();
+
+    // Activity being played: { name, startedAt, completed }
+    this.current = null;
+
+    this.load();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Create an empty session
+   * @returns {Object} - Session { startedAt, activities }
+   */
+  static createSession() {
+    return {
+      startedAt: Date.now(),
+      activities: {}
+    };
+  }
+
+  /**
+   * Listen for the events that are recorded
+   */
+  setupEventListeners() {
+    eventBus.on(EventBus.EVENTS.SCENE_ENTERED, ({ name }) => this.startActivity(name));
+    eventBus.on(EventBus.EVENTS.SCENE_COMPLETED, ({ name }) => this.completeActivity(name));
+
+    eventBus.on(EventBus.EVENTS.DUCK_QUACKED, () => {
+      this.recordTap('duck');
+    });
+
+    eventBus.on(EventBus.EVENTS.CLOUD_TAPPED, ({ counted }) => {
+      this.recordTap('cloud', counted);
+    });
+
+    eventBus.on(EventBus.EVENTS.CLOUD_COUNTED, () => {
+      const record = this.getCurrentRecord();
+      if (record) {
+        record.counted++;
+        this.save();
+      }
+    });
+
+    eventBus.on(EventBus.EVENTS.COUNTING_COMPLETED, ({ mistakes, successRate }) => {
+      const record = this.getCurrentRecord();
+      if (record) {
+        record.mistakes += mistakes;
+        record.successRates.push(successRate);
+        this.save();
+      }
+    });
+  }
+
+  /**
+   * Load earlier sessions
+   */
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(Analytics.STORAGE_KEY));
+      if (!saved || saved.version !== Analytics.VERSION || !Array.isArray(saved.sessions)) return;
+
+      this.sessions = saved.sessions.slice(-(this.options.maxSessions - 1));
+    } catch (error) {
+      console.error('Error loading analytics:', error);
+    }
+  }
+
+  /**
+   * Save the sessions
+   */
+  save() {
+    try {
+      localStorage.setItem(Analytics.STORAGE_KEY, JSON.stringify({
+        version: Analytics.VERSION,
+        sessions: [...this.sessions, this.session]
+      }));
+    } catch (error) {
+      // Storage can be full or disabled (e.g. private browsing); the report then covers this session only
+      console.error('Error saving analytics:', error);
+    }
+  }
+
+  /**
+   * Delete all recorded sessions, starting a new one
+   */
+  clear() {
+    this.sessions = [];
+    this.session = Analytics.createSession();
+    this.current = null;
+
+    try {
+      localStorage.removeItem(Analytics.STORAGE_KEY);
+    } catch (error) {
+      console.error('Error clearing analytics:', error);
+    }
+  }
+
+  /**
+   * Get the record of an activity in the current session, creating it if needed
+   * @param {string} name - Activity (scene) name
+   * @returns {Object} - Activity record
+   */
+  getRecord(name) {
+    if (!this.session.activities[name]) {
+      this.session.activities[name] = {
+        plays: 0,
+        times: [],
+        taps: {},
+        repeats: 0,
+        counted: 0,
+        mistakes: 0,
+        successRates: []
+      };
+    }
+
+    return this.session.activities[name];
+  }
+
+  /**
+   * Get the record of the activity being played
+   * @returns {Object|null} - Activity record, or null between activities
+   */
+  getCurrentRecord() {
+    return this.current ? this.getRecord(this.current.name) : null;
+  }
+
+  /**
+   * Start timing an activity
+   * @param {string} name - Activity (scene) name
+   */
+  startActivity(name) {
+    this.current = {
+      name,
+      startedAt: Date.now(),
+      completed: false
+    };
+
+    this.getRecord(name).plays++;
+    this.save();
+  }
+
+  /**
+   * Record an activity as completed, with the time it took
+   * @param {string} name - Activity (scene) name
+   */
+  completeActivity(name) {
+    if (!this.current || this.current.name !== name || this.current.completed) return;
+
+    this.current.completed = true;
+
+    const seconds = (Date.now() - this.current.startedAt) / 1000;
+    this.getRecord(name).times.push(Math.round(seconds * 10) / 10);
+    this.save();
+  }
+
+  /**
+   * Record a tap in the activity being played
+   * @param {string} target - What was tapped ('duck', 'cloud')
+   * @param {boolean} repeat - Whether it was tapped again after it was already done
+   */
+  recordTap(target, repeat = false) {
+    const record = this.getCurrentRecord();
+    if (!record) return;
+
+    record.taps[target] = (record.taps[target] || 0) + 1;
+    if (repeat) {
+      record.repeats++;
+    }
+
+    this.save();
+  }
+
+  /**
+   * Summarize an activity over a list of sessions
+   * @param {Array<Object>} sessions - Sessions to summarize
+   * @param {string} name - Activity (scene) name
+   * @returns {Object} - { plays, times, taps, repeats, counted, mistakes, successRates }
+   */
+  summarize(sessions, name) {
+    const summary = { plays: 0, times: [], taps: {}, repeats: 0, counted: 0, mistakes: 0, successRates: [] };
+
+    for (const session of sessions) {
+      const record = session.activities[name];
+      if (!record) continue;
+
+      summary.plays += record.plays;
+      summary.times.push(...record.times);
+      summary.repeats += record.repeats;
+      summary.counted += record.counted;
+      summary.mistakes += record.mistakes;
+      summary.successRates.push(...record.successRates);
+
+      for (const [target, count] of Object.entries(record.taps)) {
+        summary.taps[target] = (summary.taps[target] || 0) + count;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Show the parent report: this session's activities, with average times over recent sessions.
+   * Counting success is the average over this session's finished counting rounds.
+   */
+  showReport() {
+    const { i18n, uiSystem, sceneManager } = this.game;
+    if (!uiSystem) return;
+
+    const seconds = (value) => value === null ? '–' : i18n.t('report.seconds', { seconds: Math.round(value) });
+    const average = (values) => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+    const percent = (rate) => rate === null ? '–' : i18n.t('report.percent', { percent: Math.round(rate * 100) });
+
+    // Activities in story order
+    const activities = [];
+    for (let name = sceneManager.story.start; name; name = sceneManager.getStoryNode(name).next) {
+      if (sceneManager.getStoryNode(name).completionEvent) {
+        activities.push(name);
+      }
+    }
+
+    const allSessions = [...this.sessions, this.session];
+    const rows = activities.map((name) => {
+      const record = this.summarize([this.session], name);
+      const overall = this.summarize(allSessions, name);
+      const lastTime = record.times.length > 0 ? record.times[record.times.length - 1] : null;
+
+      return [
+        i18n.t(`report.activities.${name}`),
+        i18n.formatNumber(record.plays),
+        seconds(lastTime),
+        seconds(average(overall.times)),
+        i18n.formatNumber(record.taps.duck || 0),
+        i18n.formatNumber(record.taps.cloud || 0),
+        i18n.formatNumber(record.repeats),
+        i18n.formatNumber(record.counted),
+        i18n.formatNumber(record.mistakes),
+        percent(average(record.successRates))
+      ];
+    });
+
+    const columns = ['activity', 'plays', 'time', 'averageTime', 'duckTaps', 'cloudTaps', 'repeats',
+      'counted', 'mistakes', 'successRate']
+      .map(column => i18n.t(`report.columns.${column}`));
+
+    uiSystem.showReport(i18n.t('report.title'), { columns, rows }, {
+      notes: [i18n.t('report.sessions', { count: allSessions.length })],
+      actions: [
+        [i18n.t('report.clear'), () => {
+          this.clear();
+          uiSystem.hideReport();
+          this.showReport();
+        }]
+      ]
+    });
+  }
+}
+
+/**
+ * localStorage key the sessions are saved under
+ */
+Analytics.STORAGE_KEY = 'duckStory.analytics';
+
+/**
+ * Format version of the saved sessions
+ */
+Analytics.VERSION = 1;
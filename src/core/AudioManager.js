@@ -1,12 +1,20 @@
+import * as THREE from 'three';
+import { SoundSynthesizer } from '../utils/SoundSynthesizer.js';
+import { SpeechNarrationProvider } from './SpeechNarrationProvider.js';
+import eventBus, { EventBus } from '../utils/EventBus.js';
+
 /**
- * Manages audio playback for the game
+ * Manages audio playback for the game.
+ * Sounds are decoded into AudioBuffers and played through a Web Audio graph:
+ *
+ *   source -> voice gain -> (panner) -> effects / music / narration bus -> master gain -> output
  */
 export class AudioManager {
   /**
    * Create a new AudioManager
    */
   constructor() {
-    // Sound effects collection
+    // Looping sound effects by ID, so they can be stopped
     this.sounds = {};
 
     // Background music
@@ -17,59 +25,165 @@ export class AudioManager {
     this.narration = null;
     this.narrationVolume = 1.0;
 
+    // Speaks narration that has no recorded clip
+    this.narrationProvider = new SpeechNarrationProvider();
+
+    // Recorded narration is per language: {locale} and {id} are filled in to find a clip
+    this.narrationLocale = 'en';
+    this.narrationPath = 'sounds/narration/{locale}/{id}.mp3';
+    this.narrationIds = new Set();
+
     // Global settings
     this.masterVolume = 1.0;
     this.soundEffectsVolume = 0.8;
     this.isMuted = false;
 
-    // Preloaded status tracking
-    this.preloadedSounds = {};
+    // Decoded audio by sound ID (null when a sound failed to load)
+    this.buffers = {};
+
+    // Procedural stand-ins for sounds that fail to load
+    this.synthesizer = null;
+    this.synthesizedSounds = new Set();
+
+    // Voices following a moving 3D object
+    this.spatialVoices = new Set();
+
+    // Web Audio graph
+    this.context = null;
+    this.masterGain = null;
+    this.buses = {
+      effects: null,
+      music: null,
+      narration: null
+    };
+
+    this.createAudioGraph();
+  }
+
+  /**
+   * Create the audio context and gain buses
+   */
+  createAudioGraph() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      console.warn('Web Audio API not supported, continuing without audio');
+      return;
+    }
+
+    try {
+      this.context = new AudioContextClass();
+
+      this.masterGain = this.context.createGain();
+      this.masterGain.connect(this.context.destination);
+
+      for (const name of Object.keys(this.buses)) {
+        this.buses[name] = this.context.createGain();
+        this.buses[name].connect(this.masterGain);
+      }
+
+      this.synthesizer = new SoundSynthesizer(this.context.sampleRate);
+
+      this.updateAllVolumes();
+
+      // Browsers only start audio after a user gesture
+      const unlock = () => {
+        this.context.resume().catch(error => {
+          console.error('Error starting audio:', error);
+        });
+      };
+      window.addEventListener('pointerdown', unlock, { once: true });
+      window.addEventListener('keydown', unlock, { once: true });
+    } catch (error) {
+      console.error('Error creating audio context:', error);
+      this.context = null;
+    }
+  }
+
+  /**
+   * Get the audio clock time used for scheduling
+   * @returns {number} - Current audio context time in seconds
+   */
+  getCurrentTime() {
+    return this.context ? this.context.currentTime : 0;
   }
 
   /**
-   * Preload a sound effect
+   * Preload a sound
    * @param {string} id - Unique identifier for the sound
    * @param {string} url - URL to the sound file
-   * @returns {Promise} - Resolves when sound is loaded or fails with a timeout
+   * @returns {Promise} - Resolves with the AudioBuffer. If the file fails or times out,
+   *   resolves with a synthesized stand-in, or null if there is none.
    */
   preloadSound(id, url) {
-    return new Promise((resolve, reject) => {
-      if (this.preloadedSounds[id]) {
-        resolve(this.preloadedSounds[id]);
-        return;
-      }
+    if (id in this.buffers) {
+      return Promise.resolve(this.buffers[id]);
+    }
 
-      const audio = new Audio();
+    if (!this.context) {
+      return Promise.resolve(null);
+    }
 
-      // Set a timeout to handle cases where the file doesn't exist or can't be loaded
+    return new Promise((resolve) => {
+      // Handle cases where the file doesn't exist or can't be loaded
       const timeoutId = setTimeout(() => {
         console.warn(`Timeout loading sound ${id} from ${url}`);
-        // Create a dummy audio element to resolve the promise
-        const dummyAudio = new Audio();
-        this.preloadedSounds[id] = dummyAudio;
-        resolve(dummyAudio);
+        this.loadFallbackSound(id).then(resolve);
       }, 3000); // 3 second timeout
 
-      audio.addEventListener('canplaythrough', () => {
-        clearTimeout(timeoutId);
-        this.preloadedSounds[id] = audio;
-        resolve(audio);
-      }, { once: true });
-
-      audio.addEventListener('error', (error) => {
-        clearTimeout(timeoutId);
-        console.error(`Error loading sound ${id} from ${url}:`, error);
-        // Create a dummy audio element to resolve the promise
-        const dummyAudio = new Audio();
-        this.preloadedSounds[id] = dummyAudio;
-        resolve(dummyAudio);
-      });
-
-      audio.src = url;
-      audio.load();
+      fetch(url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return response.arrayBuffer();
+        })
+        .then(data => this.context.decodeAudioData(data))
+        .then(buffer => {
+          clearTimeout(timeoutId);
+          this.buffers[id] = buffer;
+          this.synthesizedSounds.delete(id);
+          resolve(buffer);
+        })
+        .catch(error => {
+          clearTimeout(timeoutId);
+          console.error(`Error loading sound ${id} from ${url}:`, error);
+          this.loadFallbackSound(id).then(resolve);
+        });
     });
   }
 
+  /**
+   * Synthesize a stand-in for a sound that failed to load.
+   * Namespaced IDs (e.g. 'narration:en:number3') use the recipe of their last part.
+   * @param {string} id - ID of the sound
+   * @returns {Promise} - Resolves with the sound's buffer (null if nothing could be synthesized)
+   */
+  async loadFallbackSound(id) {
+    try {
+      const buffer = this.synthesizer ? await this.synthesizer.synthesize(id.split(':').pop()) : null;
+
+      if (buffer) {
+        console.log(`Using synthesized sound for ${id}`);
+      }
+
+      // A file that finished loading after the timeout wins
+      if (!this.buffers[id]) {
+        this.buffers[id] = buffer;
+
+        if (buffer) {
+          this.synthesizedSounds.add(id);
+        }
+      }
+    } catch (error) {
+      console.error(`Error synthesizing sound ${id}:`, error);
+      if (!this.buffers[id]) {
+        this.buffers[id] = null;
+      }
+    }
+
+    return this.buffers[id];
+  }
+
   /**
    * Preload multiple sounds
    * @param {Object} soundMap - Map of sound IDs to URLs
@@ -79,11 +193,7 @@ export class AudioManager {
     const promises = [];
 
     for (const [id, url] of Object.entries(soundMap)) {
-      promises.push(this.preloadSound(id, url).catch(error => {
-        console.warn(`Failed to load sound ${id} from ${url}:`, error);
-        // Return a dummy audio element to allow Promise.all to resolve
-        return new Audio();
-      }));
+      promises.push(this.preloadSound(id, url));
     }
 
     try {
@@ -95,49 +205,150 @@ export class AudioManager {
   }
 
   /**
-   * Play a sound effect
-   * @param {string} id - ID of the sound to play
-   * @param {Object} options - Playback options
-   * @returns {HTMLAudioElement|null} - The audio element or null if sound not found
+   * Create a playing voice: a buffer source with its own gain, routed to a bus
+   * @param {string} id - ID of the sound
+   * @param {GainNode} bus - Bus to route the voice to
+   * @param {Object} settings - Voice settings (volume, loop, rate, when, position)
+   * @returns {Object|null} - Voice { id, source, gain, panner, startTime, duration, stop() } or null
    */
-  playSound(id, options = {}) {
-    if (this.isMuted) return null;
+  createVoice(id, bus, settings) {
+    if (!this.context) return null;
 
-    const sound = this.preloadedSounds[id];
-    if (!sound) {
-      console.warn(`Sound not found: ${id}`);
+    const buffer = this.buffers[id];
+    if (!buffer) {
+      if (!(id in this.buffers)) {
+        console.warn(`Sound not found: ${id}`);
+      }
       return null;
     }
 
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = settings.loop;
+    source.playbackRate.value = settings.rate;
+
+    const gain = this.context.createGain();
+    gain.gain.value = settings.volume;
+    source.connect(gain);
+
+    const voice = { id, source, gain, panner: null, follow: null, duration: buffer.duration / settings.rate };
+
+    // Position the sound in the 3D scene
+    if (settings.position) {
+      voice.panner = this.createPanner();
+      gain.connect(voice.panner);
+      voice.panner.connect(bus);
+
+      if (settings.position.isObject3D) {
+        voice.follow = settings.position;
+        this.spatialVoices.add(voice);
+      }
+
+      this.updateVoicePosition(voice, settings.position);
+    } else {
+      gain.connect(bus);
+    }
+
+    voice.stop = (fadeDuration = 0.05) => this.stopVoice(voice, fadeDuration);
+
+    source.addEventListener('ended', () => {
+      this.spatialVoices.delete(voice);
+      source.disconnect();
+      gain.disconnect();
+      if (voice.panner) voice.panner.disconnect();
+    });
+
+    // Sample-accurate start on the audio clock
+    voice.startTime = Math.max(settings.when, this.context.currentTime);
+    source.start(voice.startTime);
+
+    return voice;
+  }
+
+  /**
+   * Create a panner for a 3D positioned sound
+   * @returns {PannerNode} - The panner
+   */
+  createPanner() {
+    const panner = this.context.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.refDistance = 20; // Scene units, about the size of the duck on screen
+    panner.maxDistance = 500;
+    panner.rolloffFactor = 0.5;
+    return panner;
+  }
+
+  /**
+   * Move a voice's panner to a position or object
+   * @param {Object} voice - Voice from createVoice()
+   * @param {THREE.Vector3|THREE.Object3D} position - Position or object to follow
+   */
+  updateVoicePosition(voice, position) {
+    const worldPosition = position.isObject3D
+      ? position.getWorldPosition(new THREE.Vector3())
+      : position;
+
+    setAudioPosition(voice.panner, worldPosition);
+  }
+
+  /**
+   * Stop a voice with a short fade to avoid clicks
+   * @param {Object} voice - Voice from createVoice()
+   * @param {number} fadeDuration - Fade duration in seconds
+   */
+  stopVoice(voice, fadeDuration) {
     try {
-      // Clone the audio element for overlapping sounds
-      const audioInstance = sound.cloneNode();
+      const now = this.context.currentTime;
+      voice.gain.gain.cancelScheduledValues(now);
+      voice.gain.gain.setValueAtTime(voice.gain.gain.value, now);
+      voice.gain.gain.linearRampToValueAtTime(0, now + fadeDuration);
+      voice.source.stop(now + fadeDuration);
+    } catch (error) {
+      // Already stopped
+    }
+  }
 
-      // Apply options
+  /**
+   * Play a sound effect
+   * @param {string} id - ID of the sound to play
+   * @param {Object} options - Playback options
+   * @param {number} options.volume - Volume relative to the effects bus (0.0 to 1.0)
+   * @param {boolean} options.loop - Loop until stopSound() is called
+   * @param {number} options.rate - Playback rate
+   * @param {number} options.when - Audio clock time to start at (see getCurrentTime())
+   * @param {THREE.Vector3|THREE.Object3D} options.position - Play from a 3D position or object
+   * @returns {Object|null} - The playing voice, or null if the sound wasn't found or is a one-shot
+   *   requested while audio is suspended (not unlocked yet, or paused)
+   */
+  playSound(id, options = {}) {
+    try {
       const defaultOptions = {
-        volume: this.soundEffectsVolume,
+        volume: 1.0,
         loop: false,
-        rate: 1.0
+        rate: 1.0,
+        when: 0,
+        position: null
       };
 
       const settings = { ...defaultOptions, ...options };
 
-      // Apply settings
-      audioInstance.volume = settings.volume * this.masterVolume;
-      audioInstance.loop = settings.loop;
-      audioInstance.playbackRate = settings.rate;
+      // Only one instance of a looping sound
+      if (settings.loop) {
+        this.stopSound(id);
+      } else if (this.context && this.context.state !== 'running') {
+        // While audio is suspended, one-shots would pile up and all play when it resumes
+        return null;
+      }
 
-      // Play the sound
-      audioInstance.play().catch(error => {
-        console.error(`Error playing sound ${id}:`, error);
-      });
+      const voice = this.createVoice(id, this.buses.effects, settings);
 
       // Store reference if looping
-      if (settings.loop) {
-        this.sounds[id] = audioInstance;
+      if (voice && settings.loop) {
+        this.sounds[id] = voice;
       }
 
-      return audioInstance;
+      return voice;
     } catch (error) {
       console.error(`Error playing sound ${id}:`, error);
       return null;
@@ -145,18 +356,17 @@ export class AudioManager {
   }
 
   /**
-   * Stop a sound effect
+   * Stop a looping sound effect
    * @param {string} id - ID of the sound to stop
    */
   stopSound(id) {
     if (this.sounds[id]) {
       try {
-        this.sounds[id].pause();
-        this.sounds[id].currentTime = 0;
-        delete this.sounds[id];
+        this.sounds[id].stop();
       } catch (error) {
         console.error(`Error stopping sound ${id}:`, error);
       }
+      delete this.sounds[id];
     }
   }
 
@@ -166,43 +376,29 @@ export class AudioManager {
    * @param {Object} options - Playback options
    */
   playBackgroundMusic(id, options = {}) {
-    if (this.isMuted) return;
-
     // Stop current background music if playing
     this.stopBackgroundMusic();
 
-    const music = this.preloadedSounds[id];
-    if (!music) {
-      console.warn(`Background music not found: ${id}`);
-      return;
-    }
-
     try {
       // Apply options
       const defaultOptions = {
-        volume: this.backgroundMusicVolume,
+        volume: 1.0,
         fadeIn: true,
         fadeInDuration: 2.0
       };
 
       const settings = { ...defaultOptions, ...options };
 
-      // Setup music
-      this.backgroundMusic = music.cloneNode();
-      this.backgroundMusic.loop = true;
+      this.backgroundMusic = this.createVoice(id, this.buses.music, {
+        volume: settings.fadeIn ? 0 : settings.volume,
+        loop: true,
+        rate: 1.0,
+        when: 0
+      });
 
-      // Apply volume
-      if (settings.fadeIn) {
-        this.backgroundMusic.volume = 0;
-        this.fadeInAudio(this.backgroundMusic, settings.volume * this.masterVolume, settings.fadeInDuration);
-      } else {
-        this.backgroundMusic.volume = settings.volume * this.masterVolume;
+      if (this.backgroundMusic && settings.fadeIn) {
+        this.fadeGain(this.backgroundMusic.gain, settings.volume, settings.fadeInDuration);
       }
-
-      // Play music
-      this.backgroundMusic.play().catch(error => {
-        console.error(`Error playing background music ${id}:`, error);
-      });
     } catch (error) {
       console.error(`Error playing background music ${id}:`, error);
     }
@@ -215,71 +411,155 @@ export class AudioManager {
   stopBackgroundMusic(options = {}) {
     if (!this.backgroundMusic) return;
 
-    try {
-      const defaultOptions = {
-        fadeOut: true,
-        fadeOutDuration: 2.0
-      };
+    const defaultOptions = {
+      fadeOut: true,
+      fadeOutDuration: 2.0
+    };
 
-      const settings = { ...defaultOptions, ...options };
+    const settings = { ...defaultOptions, ...options };
 
-      if (settings.fadeOut) {
-        this.fadeOutAudio(this.backgroundMusic, settings.fadeOutDuration, () => {
-          this.backgroundMusic.pause();
-          this.backgroundMusic.currentTime = 0;
-          this.backgroundMusic = null;
-        });
-      } else {
-        this.backgroundMusic.pause();
-        this.backgroundMusic.currentTime = 0;
-        this.backgroundMusic = null;
-      }
-    } catch (error) {
-      console.error('Error stopping background music:', error);
-      this.backgroundMusic = null;
-    }
+    this.backgroundMusic.stop(settings.fadeOut ? settings.fadeOutDuration : 0.05);
+    this.backgroundMusic = null;
   }
 
   /**
-   * Play voice narration
+   * Play voice narration.
+   * A recorded clip is preferred; without one the line's text is spoken by the
+   * narration provider, and the synthesized stand-in is the last resort.
    * @param {string} id - ID of the narration to play
    * @param {Function} onComplete - Callback when narration completes
+   * @param {Object} options - Narration options ({ text } to speak when there is no recording)
+   * @returns {Object|null} - Handle { startTime, duration, stop() } of the playing narration,
+   *   or null if the narration couldn't be played
    */
-  playNarration(id, onComplete = null) {
-    if (this.isMuted) {
-      if (onComplete) onComplete();
-      return;
-    }
-
+  playNarration(id, onComplete = null, options = {}) {
     // Stop current narration if playing
     this.stopNarration();
 
-    const narration = this.preloadedSounds[id];
-    if (!narration) {
-      console.warn(`Narration not found: ${id}`);
-      if (onComplete) onComplete();
-      return;
-    }
-
     try {
-      // Setup narration
-      this.narration = narration.cloneNode();
-      this.narration.volume = this.narrationVolume * this.masterVolume;
+      const soundId = this.getNarrationSoundId(id);
+      const recorded = Boolean(this.buffers[soundId]) && !this.synthesizedSounds.has(soundId);
+
+      let narration = null;
+      if (!recorded && options.text) {
+        narration = this.speakNarration(options.text, () => {
+          // Stopped narration doesn't complete
+          if (this.narration !== narration) return;
+
+          this.narration = null;
+          eventBus.emit(EventBus.EVENTS.NARRATION_ENDED, { id });
+          if (onComplete) onComplete();
+        });
+      }
 
-      // Add completion callback
-      if (onComplete) {
-        this.narration.addEventListener('ended', onComplete, { once: true });
+      if (narration) {
+        this.narration = narration;
+        eventBus.emit(EventBus.EVENTS.NARRATION_STARTED, { id, text: options.text || null });
+        return narration;
       }
 
-      // Play narration
-      this.narration.play().catch(error => {
-        console.error(`Error playing narration ${id}:`, error);
+      narration = this.createVoice(soundId, this.buses.narration, {
+        volume: 1.0,
+        loop: false,
+        rate: 1.0,
+        when: 0
+      });
+
+      if (!narration) {
+        if (!(soundId in this.buffers)) {
+          console.warn(`Narration not found: ${id}`);
+        }
+        if (onComplete) onComplete();
+        return null;
+      }
+
+      this.narration = narration;
+      eventBus.emit(EventBus.EVENTS.NARRATION_STARTED, { id, text: options.text || null });
+
+      narration.source.addEventListener('ended', () => {
+        // Stopped narration doesn't complete
+        if (this.narration !== narration) return;
+
+        this.narration = null;
+        eventBus.emit(EventBus.EVENTS.NARRATION_ENDED, { id });
         if (onComplete) onComplete();
       });
+
+      return narration;
     } catch (error) {
       console.error(`Error playing narration ${id}:`, error);
       if (onComplete) onComplete();
+      return null;
+    }
+  }
+
+  /**
+   * Speak a narration line with the narration provider
+   * @param {string} text - Text to speak
+   * @param {Function} onEnd - Callback when speaking ends
+   * @returns {Object|null} - Provider handle, or null if the line can't be spoken
+   */
+  speakNarration(text, onEnd) {
+    if (!this.narrationProvider || !this.narrationProvider.isAvailable()) return null;
+
+    // Speech doesn't go through the audio graph, so apply the volumes here
+    const volume = this.isMuted ? 0 : this.masterVolume * this.narrationVolume;
+
+    return this.narrationProvider.speak(text, { volume, onEnd });
+  }
+
+  /**
+   * Replace the provider used for narration without a recorded clip
+   * @param {Object|null} provider - Narration provider (see SpeechNarrationProvider), or null to disable
+   */
+  setNarrationProvider(provider) {
+    this.stopNarration();
+    this.narrationProvider = provider;
+  }
+
+  /**
+   * Set the language narration is spoken in, loading that language's recordings
+   * @param {string} locale - BCP 47 language tag (e.g. 'en-US')
+   */
+  setNarrationLocale(locale) {
+    if (this.narrationProvider) {
+      this.narrationProvider.setLocale(locale);
     }
+
+    if (locale === this.narrationLocale) return;
+    this.narrationLocale = locale;
+
+    // Until the recordings load, lines are spoken by the narration provider
+    if (this.narrationIds.size > 0) {
+      this.preloadNarration([...this.narrationIds]);
+    }
+  }
+
+  /**
+   * Preload recorded narration in the current language
+   * @param {Array<string>} ids - Narration IDs (e.g. 'number3')
+   * @returns {Promise} - Resolves when all clips are loaded or failed
+   */
+  preloadNarration(ids) {
+    const soundMap = {};
+
+    for (const id of ids) {
+      this.narrationIds.add(id);
+      soundMap[this.getNarrationSoundId(id)] = this.narrationPath
+        .replace('{locale}', this.narrationLocale)
+        .replace('{id}', id);
+    }
+
+    return this.preloadSounds(soundMap);
+  }
+
+  /**
+   * Get the sound ID a narration's clip is loaded under
+   * @param {string} id - Narration ID
+   * @returns {string} - Sound ID for the current language
+   */
+  getNarrationSoundId(id) {
+    return `narration:${this.narrationLocale}:${id}`;
   }
 
   /**
@@ -288,24 +568,83 @@ export class AudioManager {
   stopNarration() {
     if (!this.narration) return;
 
+    const narration = this.narration;
+    this.narration = null;
+    narration.stop();
+  }
+
+  /**
+   * Update 3D audio: move the listener with the camera and voices with their objects
+   * @param {THREE.Camera} camera - Camera the player sees the scene through
+   */
+  update(camera) {
+    if (!this.context || this.context.state !== 'running') return;
+
     try {
-      this.narration.pause();
-      this.narration.currentTime = 0;
-      this.narration = null;
+      const listener = this.context.listener;
+      const position = camera.getWorldPosition(new THREE.Vector3());
+      const forward = camera.getWorldDirection(new THREE.Vector3());
+      const up = new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion);
+
+      if (listener.positionX) {
+        listener.positionX.value = position.x;
+        listener.positionY.value = position.y;
+        listener.positionZ.value = position.z;
+        listener.forwardX.value = forward.x;
+        listener.forwardY.value = forward.y;
+        listener.forwardZ.value = forward.z;
+        listener.upX.value = up.x;
+        listener.upY.value = up.y;
+        listener.upZ.value = up.z;
+      } else {
+        listener.setPosition(position.x, position.y, position.z);
+        listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+      }
+
+      for (const voice of this.spatialVoices) {
+        this.updateVoicePosition(voice, voice.follow);
+      }
     } catch (error) {
-      console.error('Error stopping narration:', error);
-      this.narration = null;
+      console.error('Error updating audio listener:', error);
     }
   }
 
+  /**
+   * Pause everything that is currently playing (e.g. when the tab is hidden)
+   */
+  pauseAll() {
+    if (this.narrationProvider) {
+      this.narrationProvider.pause();
+    }
+
+    if (!this.context) return;
+
+    this.context.suspend().catch(error => {
+      console.error('Error pausing audio:', error);
+    });
+  }
+
+  /**
+   * Resume audio paused with pauseAll()
+   */
+  resumeAll() {
+    if (this.narrationProvider) {
+      this.narrationProvider.resume();
+    }
+
+    if (!this.context) return;
+
+    this.context.resume().catch(error => {
+      console.error('Error resuming audio:', error);
+    });
+  }
+
   /**
    * Set master volume
    * @param {number} volume - Volume level (0.0 to 1.0)
    */
   setMasterVolume(volume) {
     this.masterVolume = Math.max(0, Math.min(1, volume));
-
-    // Update currently playing sounds
     this.updateAllVolumes();
   }
 
@@ -315,8 +654,6 @@ export class AudioManager {
    */
   setSoundEffectsVolume(volume) {
     this.soundEffectsVolume = Math.max(0, Math.min(1, volume));
-
-    // Update currently playing sound effects
     this.updateAllVolumes();
   }
 
@@ -326,11 +663,7 @@ export class AudioManager {
    */
   setBackgroundMusicVolume(volume) {
     this.backgroundMusicVolume = Math.max(0, Math.min(1, volume));
-
-    // Update background music volume
-    if (this.backgroundMusic) {
-      this.backgroundMusic.volume = this.backgroundMusicVolume * this.masterVolume;
-    }
+    this.updateAllVolumes();
   }
 
   /**
@@ -339,11 +672,7 @@ export class AudioManager {
    */
   setNarrationVolume(volume) {
     this.narrationVolume = Math.max(0, Math.min(1, volume));
-
-    // Update narration volume
-    if (this.narration) {
-      this.narration.volume = this.narrationVolume * this.masterVolume;
-    }
+    this.updateAllVolumes();
   }
 
   /**
@@ -351,12 +680,6 @@ export class AudioManager {
    */
   mute() {
     this.isMuted = true;
-
-    // Store current volumes
-    this._previousMasterVolume = this.masterVolume;
-
-    // Set volume to 0 for all playing audio
-    this.masterVolume = 0;
     this.updateAllVolumes();
   }
 
@@ -365,104 +688,50 @@ export class AudioManager {
    */
   unmute() {
     this.isMuted = false;
-
-    // Restore previous volume
-    if (this._previousMasterVolume !== undefined) {
-      this.masterVolume = this._previousMasterVolume;
-    } else {
-      this.masterVolume = 1.0;
-    }
-
-    // Update all volumes
     this.updateAllVolumes();
   }
 
   /**
-   * Update volumes for all currently playing audio
+   * Apply the volume settings to the master gain and buses
    */
   updateAllVolumes() {
-    try {
-      // Update sound effects
-      for (const sound of Object.values(this.sounds)) {
-        sound.volume = this.soundEffectsVolume * this.masterVolume;
-      }
-
-      // Update background music
-      if (this.backgroundMusic) {
-        this.backgroundMusic.volume = this.backgroundMusicVolume * this.masterVolume;
-      }
+    if (!this.context) return;
 
-      // Update narration
-      if (this.narration) {
-        this.narration.volume = this.narrationVolume * this.masterVolume;
-      }
+    try {
+      this.fadeGain(this.masterGain, this.isMuted ? 0 : this.masterVolume, 0.05);
+      this.fadeGain(this.buses.effects, this.soundEffectsVolume, 0.05);
+      this.fadeGain(this.buses.music, this.backgroundMusicVolume, 0.05);
+      this.fadeGain(this.buses.narration, this.narrationVolume, 0.05);
     } catch (error) {
       console.error('Error updating volumes:', error);
     }
   }
 
   /**
-   * Fade in audio element
-   * @param {HTMLAudioElement} audio - Audio element to fade
-   * @param {number} targetVolume - Target volume
+   * Ramp a gain node to a value on the audio clock
+   * @param {GainNode} gainNode - Gain node to fade
+   * @param {number} targetVolume - Target gain
    * @param {number} duration - Fade duration in seconds
    */
-  fadeInAudio(audio, targetVolume, duration) {
-    try {
-      const startTime = performance.now();
-      const startVolume = audio.volume;
-
-      const fadeStep = () => {
-        const currentTime = performance.now();
-        const elapsed = (currentTime - startTime) / 1000; // Convert to seconds
-        const t = Math.min(elapsed / duration, 1);
-
-        // Apply volume
-        audio.volume = startVolume + (targetVolume - startVolume) * t;
-
-        // Continue fading if not complete
-        if (t < 1) {
-          requestAnimationFrame(fadeStep);
-        }
-      };
-
-      requestAnimationFrame(fadeStep);
-    } catch (error) {
-      console.error('Error fading in audio:', error);
-    }
+  fadeGain(gainNode, targetVolume, duration) {
+    const now = this.context.currentTime;
+    gainNode.gain.cancelScheduledValues(now);
+    gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+    gainNode.gain.linearRampToValueAtTime(targetVolume, now + duration);
   }
+}
 
-  /**
-   * Fade out audio element
-   * @param {HTMLAudioElement} audio - Audio element to fade
-   * @param {number} duration - Fade duration in seconds
-   * @param {Function} onComplete - Callback when fade completes
-   */
-  fadeOutAudio(audio, duration, onComplete) {
-    try {
-      const startTime = performance.now();
-      const startVolume = audio.volume;
-
-      const fadeStep = () => {
-        const currentTime = performance.now();
-        const elapsed = (currentTime - startTime) / 1000; // Convert to seconds
-        const t = Math.min(elapsed / duration, 1);
-
-        // Apply volume
-        audio.volume = startVolume * (1 - t);
-
-        // Continue fading if not complete
-        if (t < 1) {
-          requestAnimationFrame(fadeStep);
-        } else if (onComplete) {
-          onComplete();
-        }
-      };
-
-      requestAnimationFrame(fadeStep);
-    } catch (error) {
-      console.error('Error fading out audio:', error);
-      if (onComplete) onComplete();
-    }
+/**
+ * Set the position of a PannerNode, using AudioParams where supported
+ * @param {PannerNode} node - Node to position
+ * @param {THREE.Vector3} position - World position
+ */
+function setAudioPosition(node, position) {
+  if (node.positionX) {
+    node.positionX.value = position.x;
+    node.positionY.value = position.y;
+    node.positionZ.value = position.z;
+  } else {
+    node.setPosition(position.x, position.y, position.z);
   }
 }
@@ -3,9 +3,17 @@ import { SceneManager } from './SceneManager.js';
 import { InteractionSystem } from './InteractionSystem.js';
 import { AudioManager } from './AudioManager.js';
 import { UISystem } from './UISystem.js';
-
-// Import scenes
-import { CalmPondScene } from '../scenes/CalmPondScene.js';
+import { NarrationQueue } from './NarrationQueue.js';
+import { AdaptiveMusic } from './AdaptiveMusic.js';
+import { Settings } from './Settings.js';
+import { SettingsPanel } from './SettingsPanel.js';
+import { SaveSystem } from './SaveSystem.js';
+import { Analytics } from './Analytics.js';
+import { I18n } from './I18n.js';
+import eventBus, { EventBus } from '../utils/EventBus.js';
+
+// Import story
+import { storyGraph } from '../scenes/StoryGraph.js';
 
 /**
  * Main Game class - entry point for the application
@@ -16,10 +24,17 @@ export class Game {
    */
   constructor() {
     // Core systems
+    this.i18n = null;
     this.sceneManager = null;
     this.interactionSystem = null;
     this.audioManager = null;
     this.uiSystem = null;
+    this.narrationQueue = null;
+    this.music = null;
+    this.settings = null;
+    this.settingsPanel = null;
+    this.saveSystem = null;
+    this.analytics = null;
 
     // Three.js components
     this.renderer = null;
@@ -61,20 +76,40 @@ export class Game {
     this.camera.position.set(-90, 50, -110);
     this.camera.lookAt(0, 1, 0);
 
+    // Open the page with ?traceEvents to log game events and inspect or replay them
+    // from the console (eventBus.getHistory(), eventBus.replay())
+    if (new URLSearchParams(window.location.search).has('traceEvents')) {
+      eventBus.setTrace(true, { log: true });
+      window.eventBus = eventBus;
+    }
+
     // Initialize core systems
+    this.i18n = new I18n();
     this.sceneManager = new SceneManager(this);
     this.interactionSystem = new InteractionSystem(this.camera, document.getElementById('gameCanvas'));
     this.audioManager = new AudioManager();
-    this.uiSystem = new UISystem();
-
-    // Register scenes
-    this.sceneManager.registerScene('calmPond', new CalmPondScene(this));
+    this.uiSystem = new UISystem(this.i18n);
+    this.narrationQueue = new NarrationQueue(this.audioManager, this.uiSystem);
+    this.music = new AdaptiveMusic(this.audioManager);
+
+    // Restore saved settings before anything is heard or shown
+    this.saveSystem = new SaveSystem(this);
+    this.saveSystem.load();
+    this.settings = new Settings(this);
+    this.settings.restore(this.saveSystem.getSettings());
+    this.settings.apply();
+    this.settingsPanel = new SettingsPanel(this);
+    this.analytics = new Analytics(this);
+    this.updatePageText();
+
+    // Register scenes from the story graph
+    this.sceneManager.loadStory(storyGraph);
 
     // Setup event listeners
     this.setupEventListeners();
 
     // Start with first scene
-    await this.sceneManager.transitionTo('calmPond');
+    await this.sceneManager.transitionTo(storyGraph.start);
 
     // Hide loading screen
     document.getElementById('loadingScreen').style.display = 'none';
@@ -94,6 +129,18 @@ export class Game {
     // Window resize
     window.addEventListener('resize', this.onWindowResize.bind(this));
 
+    // Translate the page's own text when the language changes
+    eventBus.on(EventBus.EVENTS.LOCALE_CHANGED, () => this.updatePageText());
+
+    // Pause while the tab is hidden
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.pause();
+      } else {
+        this.resume();
+      }
+    });
+
     // START button click
     const startButton = document.getElementById('startButton');
     startButton.addEventListener('click', () => {
@@ -102,6 +149,42 @@ export class Game {
     });
   }
 
+  /**
+   * Translate the text that is part of the page rather than created by UISystem
+   */
+  updatePageText() {
+    document.getElementById('startButton').textContent = this.i18n.t('ui.start');
+    document.querySelector('#loadingScreen p').textContent = this.i18n.t('ui.loading');
+  }
+
+  /**
+   * Pause the game loop, the current scene and all audio
+   */
+  pause() {
+    if (!this.isInitialized || !this.isRunning) return;
+
+    console.log('Game paused');
+    this.isRunning = false;
+    this.sceneManager.pause();
+    this.audioManager.pauseAll();
+  }
+
+  /**
+   * Resume the game after a pause
+   */
+  resume() {
+    if (!this.isInitialized || this.isRunning) return;
+
+    console.log('Game resumed');
+
+    // Don't let the time spent paused count as one huge frame
+    this.clock.getDelta();
+
+    this.isRunning = true;
+    this.sceneManager.resume();
+    this.audioManager.resumeAll();
+  }
+
   /**
    * Handle window resize
    */
@@ -126,17 +209,19 @@ export class Game {
     const deltaTime = this.clock.getDelta();
 
     // Update current scene
-    if (this.sceneManager.currentScene) {
-      this.sceneManager.currentScene.update(deltaTime);
-    }
+    this.sceneManager.update(deltaTime);
 
     // Update interaction system
     this.interactionSystem.update(deltaTime);
 
-    // Render scene
-    if (this.sceneManager.currentScene) {
-      this.renderer.render(this.sceneManager.currentScene.scene, this.camera);
-    }
+    // Move the audio listener with the camera
+    this.audioManager.update(this.camera);
+
+    // Keep narration captions in step with the audio
+    this.narrationQueue.update(deltaTime);
+
+    // Render current scene, or the transition between scenes
+    this.sceneManager.render(this.renderer, this.camera);
   }
 }
 
@@ -0,0 +1,167 @@
+/**
+ * Reads the first connected gamepad through the Gamepad API.
+ * The API has no input events, so poll() is called every frame by InteractionSystem.
+ */
+export class GamepadInput {
+  /**
+   * Create a new GamepadInput
+   * @param {Object} options - Gamepad options
+   */
+  constructor(options = {}) {
+    // Default options
+    const defaultOptions = {
+      deadzone: 0.2 // Ignore small stick movements of worn controllers
+    };
+
+    this.options = { ...defaultOptions, ...options };
+
+    this.gamepadIndex = null;
+    this.previousButtons = {};
+
+    window.addEventListener('gamepadconnected', (event) => {
+      console.log(`Gamepad connected: ${event.gamepad.id}`);
+      if (this.gamepadIndex === null) {
+        this.gamepadIndex = event.gamepad.index;
+      }
+    });
+
+    window.addEventListener('gamepaddisconnected', (event) => {
+      console.log(`Gamepad disconnected: ${event.gamepad.id}`);
+      if (this.gamepadIndex === event.gamepad.index) {
+        this.gamepadIndex = null;
+        this.previousButtons = {};
+      }
+    });
+  }
+
+  /**
+   * Read the current gamepad state
+   * @returns {Object|null} - { stick, buttons, pressed, released } or null without a gamepad
+   */
+  poll() {
+    if (this.gamepadIndex === null || !navigator.getGamepads) return null;
+
+    const gamepad = navigator.getGamepads()[this.gamepadIndex];
+    if (!gamepad || !gamepad.connected) return null;
+
+    const buttons = {};
+    const pressed = {};
+    const released = {};
+
+    for (const [name, index] of Object.entries(GamepadInput.BUTTONS)) {
+      const button = gamepad.buttons[index];
+      buttons[name] = Boolean(button && button.pressed);
+
+      // Edges since the previous poll
+      pressed[name] = buttons[name] && !this.previousButtons[name];
+      released[name] = !buttons[name] && Boolean(this.previousButtons[name]);
+    }
+
+    this.previousButtons = buttons;
+
+    return {
+      stick: this.applyDeadzone(gamepad.axes[0] || 0, gamepad.axes[1] || 0),
+      buttons,
+      pressed,
+      released
+    };
+  }
+
+  /**
+   * Apply a radial deadzone to a stick, rescaling the rest to 0..1
+   * @param {number} x - Horizontal axis (-1 to 1)
+   * @param {number} y - Vertical axis (-1 to 1, down is positive)
+   * @returns {Object} - Stick { x, y }
+   */
+  applyDeadzone(x, y) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude < this.options.deadzone) {
+      return { x: 0, y: 0 };
+    }
+
+    const scale = Math.min((magnitude - this.options.deadzone) / (1 - this.options.deadzone), 1) / magnitude;
+    return { x: x * scale, y: y * scale };
+  }
+}
+
+/**
+ * Button indices of the standard gamepad mapping
+ */
+GamepadInput.BUTTONS = {
+  a: 0,
+  b: 1,
+  up: 12,
+  down: 13,
+  left: 14,
+  right: 15
+};
+
+/**
+ * On-screen cursor moved with the gamepad's left stick
+ */
+export class GamepadCursor {
+  /**
+   * Create a new GamepadCursor
+   * @param {HTMLElement} domElement - Element the cursor is kept within
+   */
+  constructor(domElement) {
+    this.domElement = domElement;
+    this.visible = false;
+
+    // Client coordinates, placed in the middle when first shown
+    this.x = null;
+    this.y = null;
+
+    this.element = document.createElement('div');
+    this.element.className = 'gamepad-cursor';
+    this.element.style.display = 'none';
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Show the cursor
+   */
+  show() {
+    if (this.visible) return;
+
+    if (this.x === null) {
+      const rect = this.domElement.getBoundingClientRect();
+      this.x = rect.left + rect.width / 2;
+      this.y = rect.top + rect.height / 2;
+    }
+
+    this.visible = true;
+    this.element.style.display = 'block';
+    this.updateElement();
+  }
+
+  /**
+   * Hide the cursor
+   */
+  hide() {
+    if (!this.visible) return;
+
+    this.visible = false;
+    this.element.style.display = 'none';
+  }
+
+  /**
+   * Move the cursor, keeping it within the element
+   * @param {number} dx - Horizontal movement in pixels
+   * @param {number} dy - Vertical movement in pixels
+   */
+  moveBy(dx, dy) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.x = Math.min(Math.max(this.x + dx, rect.left), rect.right);
+    this.y = Math.min(Math.max(this.y + dy, rect.top), rect.bottom);
+    this.updateElement();
+  }
+
+  /**
+   * Position the cursor element
+   */
+  updateElement() {
+    this.element.style.left = `${this.x}px`;
+    this.element.style.top = `${this.y}px`;
+  }
+}
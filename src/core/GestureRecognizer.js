@@ -0,0 +1,300 @@
+/**
+ * Recognizes gestures from raw pointer input.
+ * Pointers are fed in by InteractionSystem; recognized gestures are passed to a callback:
+ * - tap, doubleTap, longPress: { position }
+ *   A double tap's second tap is reported as doubleTap only, so no tap is reported twice.
+ * - swipe: { position, endPosition, direction, distance, velocity, velocityX, velocityY }
+ * - pinch: { phase, center, scale }
+ * - rotate: { phase, center, rotation }
+ * Positions are in client (CSS pixel) coordinates, velocities in pixels per millisecond.
+ */
+export class GestureRecognizer {
+  /**
+   * Create a new GestureRecognizer
+   * @param {Function} onGesture - Called with (type, detail) for each recognized gesture
+   * @param {Object} options - Recognition thresholds
+   */
+  constructor(onGesture, options = {}) {
+    this.onGesture = onGesture;
+
+    // Default options
+    const defaultOptions = {
+      tapMaxDuration: 300, // ms
+      tapMaxDistance: 10, // px a finger may wobble and still tap
+      doubleTapInterval: 300, // ms between taps
+      doubleTapMaxDistance: 40, // px between taps
+      longPressDuration: 600, // ms
+      swipeMinDistance: 50, // px
+      swipeMinVelocity: 0.3, // px per ms
+      pinchThreshold: 0.1, // relative scale change before a pinch starts
+      rotateThreshold: 0.2 // radians before a rotation starts
+    };
+
+    this.options = { ...defaultOptions, ...options };
+
+    // Active pointers by id
+    this.pointers = new Map();
+
+    // State of the current gesture (from first pointer down to last pointer up)
+    this.session = null;
+    this.lastTap = null;
+    this.longPressTimeout = null;
+  }
+
+  /**
+   * Handle a pointer going down
+   * @param {number|string} id - Pointer identifier
+   * @param {number} x - Client X coordinate
+   * @param {number} y - Client Y coordinate
+   * @param {number} time - Timestamp in milliseconds
+   */
+  pointerDown(id, x, y, time = performance.now()) {
+    this.pointers.set(id, { startX: x, startY: y, x, y, startTime: time });
+
+    if (!this.session) {
+      this.session = {
+        startTime: time,
+        maxPointers: 0,
+        moved: false,
+        longPressed: false,
+        twoFinger: null
+      };
+    }
+
+    this.session.maxPointers = Math.max(this.session.maxPointers, this.pointers.size);
+
+    if (this.pointers.size === 1) {
+      this.startLongPress(x, y);
+    } else {
+      // Several fingers are never a tap or long press
+      this.cancelLongPress();
+
+      if (this.pointers.size === 2) {
+        this.startTwoFingerGesture();
+      }
+    }
+  }
+
+  /**
+   * Handle a pointer moving
+   * @param {number|string} id - Pointer identifier
+   * @param {number} x - Client X coordinate
+   * @param {number} y - Client Y coordinate
+   * @param {number} time - Timestamp in milliseconds
+   */
+  pointerMove(id, x, y, time = performance.now()) {
+    const pointer = this.pointers.get(id);
+    if (!pointer || !this.session) return;
+
+    pointer.x = x;
+    pointer.y = y;
+
+    if (Math.hypot(x - pointer.startX, y - pointer.startY) > this.options.tapMaxDistance) {
+      this.session.moved = true;
+      this.cancelLongPress();
+    }
+
+    if (this.session.twoFinger && this.pointers.size === 2) {
+      this.updateTwoFingerGesture();
+    }
+  }
+
+  /**
+   * Handle a pointer going up
+   * @param {number|string} id - Pointer identifier
+   * @param {number} x - Client X coordinate
+   * @param {number} y - Client Y coordinate
+   * @param {number} time - Timestamp in milliseconds
+   */
+  pointerUp(id, x, y, time = performance.now()) {
+    const pointer = this.pointers.get(id);
+    if (!pointer || !this.session) return;
+
+    pointer.x = x;
+    pointer.y = y;
+
+    // A lifted finger ends any pinch or rotation
+    if (this.session.twoFinger) {
+      this.endTwoFingerGesture();
+    }
+
+    this.pointers.delete(id);
+
+    if (this.pointers.size > 0) return;
+
+    // Last pointer lifted: classify single-pointer gestures
+    const session = this.session;
+    this.session = null;
+    this.cancelLongPress();
+
+    if (session.maxPointers !== 1 || session.longPressed) return;
+
+    const dx = x - pointer.startX;
+    const dy = y - pointer.startY;
+    const distance = Math.hypot(dx, dy);
+    const duration = Math.max(time - pointer.startTime, 1);
+
+    if (distance <= this.options.tapMaxDistance && duration <= this.options.tapMaxDuration) {
+      this.recognizeTap(x, y, time);
+    } else if (distance >= this.options.swipeMinDistance &&
+               distance / duration >= this.options.swipeMinVelocity) {
+      this.emit('swipe', {
+        position: { x: pointer.startX, y: pointer.startY },
+        endPosition: { x, y },
+        direction: Math.abs(dx) > Math.abs(dy)
+          ? (dx > 0 ? 'right' : 'left')
+          : (dy > 0 ? 'down' : 'up'),
+        distance,
+        velocity: distance / duration,
+        velocityX: dx / duration,
+        velocityY: dy / duration
+      });
+    }
+  }
+
+  /**
+   * Abort the current gesture (e.g. on touchcancel)
+   */
+  cancel() {
+    this.cancelLongPress();
+
+    if (this.session && this.session.twoFinger) {
+      this.endTwoFingerGesture();
+    }
+
+    this.pointers.clear();
+    this.session = null;
+  }
+
+  /**
+   * Emit a double tap if the tap closely follows the previous tap, or a tap otherwise
+   * @param {number} x - Client X coordinate
+   * @param {number} y - Client Y coordinate
+   * @param {number} time - Timestamp in milliseconds
+   */
+  recognizeTap(x, y, time) {
+    const position = { x, y };
+
+    const lastTap = this.lastTap;
+    if (lastTap &&
+        time - lastTap.time <= this.options.doubleTapInterval &&
+        Math.hypot(x - lastTap.x, y - lastTap.y) <= this.options.doubleTapMaxDistance) {
+      this.emit('doubleTap', { position });
+
+      // A third tap starts a new pair
+      this.lastTap = null;
+    } else {
+      this.emit('tap', { position });
+      this.lastTap = { x, y, time };
+    }
+  }
+
+  /**
+   * Start waiting for a long press
+   * @param {number} x - Client X coordinate
+   * @param {number} y - Client Y coordinate
+   */
+  startLongPress(x, y) {
+    this.cancelLongPress();
+
+    this.longPressTimeout = setTimeout(() => {
+      this.longPressTimeout = null;
+
+      if (!this.session) return;
+      this.session.longPressed = true;
+      this.emit('longPress', { position: { x, y } });
+    }, this.options.longPressDuration);
+  }
+
+  /**
+   * Stop waiting for a long press
+   */
+  cancelLongPress() {
+    clearTimeout(this.longPressTimeout);
+    this.longPressTimeout = null;
+  }
+
+  /**
+   * Remember the initial distance and angle between two fingers
+   */
+  startTwoFingerGesture() {
+    const [a, b] = [...this.pointers.values()];
+
+    this.session.twoFinger = {
+      startDistance: Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1),
+      startAngle: Math.atan2(b.y - a.y, b.x - a.x),
+      pinching: false,
+      rotating: false,
+      scale: 1,
+      rotation: 0,
+      center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+    };
+  }
+
+  /**
+   * Emit pinch and rotate updates for two moving fingers
+   */
+  updateTwoFingerGesture() {
+    const [a, b] = [...this.pointers.values()];
+    const state = this.session.twoFinger;
+
+    state.scale = Math.hypot(b.x - a.x, b.y - a.y) / state.startDistance;
+    state.center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+    // Keep the rotation within -PI..PI
+    let rotation = Math.atan2(b.y - a.y, b.x - a.x) - state.startAngle;
+    rotation = Math.atan2(Math.sin(rotation), Math.cos(rotation));
+    state.rotation = rotation;
+
+    // Only start once past the thresholds so resting fingers don't jitter
+    if (!state.pinching && Math.abs(state.scale - 1) >= this.options.pinchThreshold) {
+      state.pinching = true;
+      this.emit('pinch', { phase: 'start', center: state.center, scale: state.scale });
+    } else if (state.pinching) {
+      this.emit('pinch', { phase: 'move', center: state.center, scale: state.scale });
+    }
+
+    if (!state.rotating && Math.abs(rotation) >= this.options.rotateThreshold) {
+      state.rotating = true;
+      this.emit('rotate', { phase: 'start', center: state.center, rotation });
+    } else if (state.rotating) {
+      this.emit('rotate', { phase: 'move', center: state.center, rotation });
+    }
+  }
+
+  /**
+   * Finish any pinch or rotation in progress
+   */
+  endTwoFingerGesture() {
+    const state = this.session.twoFinger;
+    this.session.twoFinger = null;
+
+    if (state.pinching) {
+      this.emit('pinch', { phase: 'end', center: state.center, scale: state.scale });
+    }
+
+    if (state.rotating) {
+      this.emit('rotate', { phase: 'end', center: state.center, rotation: state.rotation });
+    }
+  }
+
+  /**
+   * Pass a recognized gesture to the callback
+   * @param {string} type - Gesture type
+   * @param {Object} detail - Gesture details
+   */
+  emit(type, detail) {
+    try {
+      this.onGesture(type, detail);
+    } catch (error) {
+      console.error(`Error handling ${type} gesture:`, error);
+    }
+  }
+
+  /**
+   * Stop pending timers
+   */
+  dispose() {
+    this.cancel();
+  }
+}
@@ -0,0 +1,141 @@
+import { en } from '../locales/en.js';
+import { es } from '../locales/es.js';
+import { fr } from '../locales/fr.js';
+import { ar } from '../locales/ar.js';
+import eventBus, { EventBus } from '../utils/EventBus.js';
+
+/**
+ * Translates UI strings and narration captions.
+ *
+ * Each locale in I18n.LOCALES has a name, a text direction ('ltr' or 'rtl') and a catalog of
+ * messages looked up by dotted key (e.g. 'settings.title'). Messages can contain {placeholders};
+ * a message with plural forms is an object keyed by Intl.PluralRules category
+ * ('zero', 'one', 'two', 'few', 'many', 'other') and picked by the `count` parameter.
+ * Missing messages fall back to the fallback locale, then to the key itself.
+ */
+export class I18n {
+  /**
+   * Create a new I18n
+   * @param {Object} options - Localization options
+   */
+  constructor(options = {}) {
+    // Default options
+    const defaultOptions = {
+      locale: 'en',
+      fallbackLocale: 'en'
+    };
+
+    this.options = { ...defaultOptions, ...options };
+
+    this.locale = null;
+    this.pluralRules = null;
+    this.numberFormat = null;
+
+    this.setLocale(this.options.locale);
+  }
+
+  /**
+   * Switch language, emitting EventBus.EVENTS.LOCALE_CHANGED
+   * @param {string} locale - Locale code (one of I18n.LOCALES)
+   */
+  setLocale(locale) {
+    if (!(locale in I18n.LOCALES)) {
+      console.warn(`Locale not supported: ${locale}, using ${this.options.fallbackLocale}`);
+      locale = this.options.fallbackLocale;
+    }
+
+    if (locale === this.locale) return;
+
+    this.locale = locale;
+    this.pluralRules = new Intl.PluralRules(locale);
+    this.numberFormat = new Intl.NumberFormat(locale);
+
+    document.documentElement.lang = locale;
+    document.documentElement.dir = this.getDirection();
+
+    eventBus.emit(EventBus.EVENTS.LOCALE_CHANGED, {
+      locale,
+      direction: this.getDirection()
+    });
+  }
+
+  /**
+   * Get the text direction of the current locale
+   * @returns {string} - 'ltr' or 'rtl'
+   */
+  getDirection() {
+    return I18n.LOCALES[this.locale].direction;
+  }
+
+  /**
+   * Translate a message
+   * @param {string} key - Dotted message key
+   * @param {Object} params - Values for the message's placeholders ({ count } also picks the plural form)
+   * @returns {string} - Translated message
+   */
+  t(key, params = {}) {
+    let message = this.lookup(this.locale, key);
+    if (message === undefined) {
+      message = this.lookup(this.options.fallbackLocale, key);
+    }
+
+    if (message === undefined) {
+      console.warn(`Missing translation: ${key}`);
+      return key;
+    }
+
+    // Plural forms
+    if (typeof message === 'object') {
+      const category = typeof params.count === 'number' ? this.pluralRules.select(params.count) : 'other';
+      message = message[category] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in params)) return placeholder;
+      return this.formatValue(params[name]);
+    });
+  }
+
+  /**
+   * Format a number for the current locale (e.g. Arabic-Indic digits)
+   * @param {number} value - Number to format
+   * @returns {string} - Formatted number
+   */
+  formatNumber(value) {
+    return this.numberFormat.format(value);
+  }
+
+  /**
+   * Format a placeholder value
+   * @param {*} value - Value to format
+   * @returns {string} - Formatted value
+   */
+  formatValue(value) {
+    return typeof value === 'number' ? this.formatNumber(value) : String(value);
+  }
+
+  /**
+   * Find a message in a locale's catalog
+   * @param {string} locale - Locale code
+   * @param {string} key - Dotted message key
+   * @returns {string|Object|undefined} - Message, plural forms, or undefined if missing
+   */
+  lookup(locale, key) {
+    let value = I18n.LOCALES[locale] && I18n.LOCALES[locale].messages;
+
+    for (const part of key.split('.')) {
+      if (value === undefined || value === null) return undefined;
+      value = value[part];
+    }
+
+    // A group of messages isn't a message
+    if (typeof value === 'object' && value !== null && !('other' in value)) return undefined;
+
+    return value;
+  }
+}
+
+/**
+ * Available locales by code
+ */
+I18n.LOCALES = { en, es, fr, ar };
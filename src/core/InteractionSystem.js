@@ -1,67 +1,133 @@
 import * as THREE from 'three';
+import { GestureRecognizer } from './GestureRecognizer.js';
+import { GamepadInput, GamepadCursor } from './GamepadInput.js';
+import eventBus, { EventBus } from '../utils/EventBus.js';
 
 /**
- * Handles user interactions with 3D objects
+ * Handles user interactions with 3D objects.
+ * Registered objects may provide these callbacks:
+ * - onClick, onDoubleTap, onLongPress, onSwipe, onPinch, onRotate (gestures, see GestureRecognizer)
+ *   A double tap calls onDoubleTap only. Objects with onDoubleTap get onClick once it is clear
+ *   no second tap follows; objects without it get both taps of a double tap as onClick.
+ * - onHoverStart, onHoverEnd (also used to highlight the keyboard focus)
+ * - onDragStart, onDrag, onDragEnd, and optionally canDrag() to turn dragging on and off
  */
 export class InteractionSystem {
   /**
    * Create a new InteractionSystem
    * @param {THREE.Camera} camera - The camera used for raycasting
    * @param {HTMLElement} domElement - The DOM element to attach listeners to
+   * @param {Object} options - Interaction options
    */
-  constructor(camera, domElement) {
+  constructor(camera, domElement, options = {}) {
     this.camera = camera;
     this.domElement = domElement;
     this.raycaster = new THREE.Raycaster();
-    this.mouse = new THREE.Vector2();
-    this.touch = new THREE.Vector2();
+    this.pointer = new THREE.Vector2();
+
+    // Default options
+    const defaultOptions = {
+      // Pixels a pointer must move before a press becomes a drag.
+      // Presses that move less and are released quickly are taps.
+      dragThreshold: 10,
+      // Toddlers press slowly, so any press shorter than a long press is a tap
+      longPressDuration: 600, // ms
+      tapMaxDuration: 600, // ms
+      keyboardDragStep: 0.02, // Fraction of the camera distance moved per arrow key press
+      gamepadCursorSpeed: 700 // Pixels per second at full stick
+    };
+
+    this.options = { ...defaultOptions, ...options };
 
     // Objects that can be interacted with
     this.interactiveObjects = [];
 
+    // Scopes (usually scenes) whose objects currently receive interactions.
+    // Objects registered without a scope are always interactive.
+    this.activeScopes = new Set();
+
     // Drag state
     this.isDragging = false;
     this.dragObject = null;
     this.dragPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0));
     this.dragOffset = new THREE.Vector3();
     this.dragStartPosition = new THREE.Vector3();
+    this.dragPointerId = null; // Pointer that is dragging, other pointers are ignored
+    this.pendingDrag = null; // Press on a draggable object that may still become a tap
+
+    // Pointers currently down
+    this.activePointers = new Set();
 
     // Hover state
     this.hoveredObject = null;
 
+    // Keyboard and switch access focus
+    this.focusedObject = null;
+    this.keyboardDrag = null; // Object being moved with the arrow keys
+
+    // Gamepad, polled in update()
+    this.gamepadInput = new GamepadInput();
+    this.gamepadCursor = new GamepadCursor(domElement);
+
+    // Gestures (tap, double tap, long press, swipe, pinch, rotate)
+    this.gestureRecognizer = new GestureRecognizer(this.onGesture.bind(this), {
+      tapMaxDistance: this.options.dragThreshold,
+      tapMaxDuration: this.options.tapMaxDuration,
+      longPressDuration: this.options.longPressDuration
+    });
+    this.gestureTargets = {}; // Objects receiving an ongoing pinch or rotate
+    this.pendingTap = null; // Tap held back in case it is the first of a double tap
+
     // Setup event listeners
     this.setupEventListeners();
   }
 
   /**
-   * Set up event listeners for mouse and touch events
+   * Set up pointer event listeners, shared by mouse, pen and touch
    */
   setupEventListeners() {
-    // Mouse events
-    this.domElement.addEventListener('mousedown', this.onMouseDown.bind(this));
-    this.domElement.addEventListener('mousemove', this.onMouseMove.bind(this));
-    this.domElement.addEventListener('mouseup', this.onMouseUp.bind(this));
+    this.domElement.addEventListener('pointerdown', this.onPointerDown.bind(this));
+    this.domElement.addEventListener('pointermove', this.onPointerMove.bind(this));
+    this.domElement.addEventListener('pointerup', this.onPointerUp.bind(this));
+    this.domElement.addEventListener('pointercancel', this.onPointerCancel.bind(this));
+    this.domElement.addEventListener('pointerleave', this.onPointerLeave.bind(this));
+
+    // Keyboard events, the canvas is focusable so Tab reaches it
+    if (this.domElement.tabIndex < 0) {
+      this.domElement.tabIndex = 0;
+    }
 
-    // Touch events
-    this.domElement.addEventListener('touchstart', this.onTouchStart.bind(this));
-    this.domElement.addEventListener('touchmove', this.onTouchMove.bind(this));
-    this.domElement.addEventListener('touchend', this.onTouchEnd.bind(this));
+    this.domElement.addEventListener('keydown', this.onKeyDown.bind(this));
+    this.domElement.addEventListener('keyup', this.onKeyUp.bind(this));
+    this.domElement.addEventListener('focus', this.onCanvasFocus.bind(this));
+    this.domElement.addEventListener('blur', this.onCanvasBlur.bind(this));
   }
 
   /**
    * Register an object for interaction
    * @param {THREE.Object3D} object - The object to register
    * @param {Object} callbacks - Callback functions for different interactions
+   * @param {Object} options - Registration options
+   * @param {*} options.scope - Scope the object belongs to (usually its scene), null for always interactive
    */
-  register(object, callbacks = {}) {
+  register(object, callbacks = {}, options = {}) {
+    const defaultOptions = {
+      scope: null
+    };
+
+    const settings = { ...defaultOptions, ...options };
+
     if (!object.userData) {
       object.userData = {};
     }
 
     object.userData.interactive = true;
     object.userData.callbacks = callbacks;
+    object.userData.interactionScope = settings.scope;
 
-    this.interactiveObjects.push(object);
+    if (!this.interactiveObjects.includes(object)) {
+      this.interactiveObjects.push(object);
+    }
     return object;
   }
 
@@ -75,34 +141,116 @@ export class InteractionSystem {
       this.interactiveObjects.splice(index, 1);
     }
 
+    // Forget any hover, focus or drag in progress on the object
+    if (this.hoveredObject === object) {
+      this.hoveredObject = null;
+    }
+
+    if (this.focusedObject === object) {
+      this.focusedObject = null;
+    }
+
+    if (this.keyboardDrag && this.keyboardDrag.object === object) {
+      this.keyboardDrag = null;
+    }
+
+    if (this.dragObject === object) {
+      this.isDragging = false;
+      this.dragObject = null;
+    }
+
+    if (this.pendingDrag && this.pendingDrag.object === object) {
+      this.pendingDrag = null;
+    }
+
     if (object.userData) {
       object.userData.interactive = false;
       object.userData.callbacks = null;
+      object.userData.highlightCount = 0;
+      object.userData.interactionScope = null;
     }
   }
 
   /**
-   * Update mouse coordinates from event
-   * @param {MouseEvent} event - Mouse event
+   * Unregister every object of a scope
+   * @param {*} scope - Scope passed to register()
+   * @returns {number} - Number of objects unregistered
    */
-  updateMouse(event) {
-    const rect = this.domElement.getBoundingClientRect();
-    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  unregisterScope(scope) {
+    const objects = this.interactiveObjects.filter(obj =>
+      obj.userData && obj.userData.interactionScope === scope
+    );
+
+    for (const object of objects) {
+      this.unregister(object);
+    }
+
+    return objects.length;
   }
 
   /**
-   * Update touch coordinates from event
-   * @param {TouchEvent} event - Touch event
+   * Set the scopes whose objects receive hit tests and callbacks
+   * @param {Array} scopes - Active scopes (usually the current scene)
    */
-  updateTouch(event) {
-    if (event.touches.length > 0) {
-      const rect = this.domElement.getBoundingClientRect();
-      this.touch.x = ((event.touches[0].clientX - rect.left) / rect.width) * 2 - 1;
-      this.touch.y = -((event.touches[0].clientY - rect.top) / rect.height) * 2 + 1;
+  setActiveScopes(scopes = []) {
+    this.activeScopes = new Set(scopes);
+
+    // End hover and drag on objects that just became inactive
+    if (this.hoveredObject && !this.isInActiveScope(this.hoveredObject)) {
+      this.removeHighlight(this.hoveredObject);
+      this.hoveredObject = null;
+    }
+
+    if (this.dragObject && !this.isInActiveScope(this.dragObject)) {
+      if (this.dragObject.userData.callbacks && this.dragObject.userData.callbacks.onDragEnd) {
+        this.dragObject.userData.callbacks.onDragEnd();
+      }
+      this.isDragging = false;
+      this.dragObject = null;
+    }
+
+    if (this.pendingDrag && !this.isInActiveScope(this.pendingDrag.object)) {
+      this.pendingDrag = null;
+    }
+
+    if (this.focusedObject && !this.isInActiveScope(this.focusedObject)) {
+      this.setFocus(null);
     }
   }
 
+  /**
+   * Check whether an object belongs to an active scope
+   * @param {THREE.Object3D} object - Registered object
+   * @returns {boolean} - True if the object may receive interactions
+   */
+  isInActiveScope(object) {
+    const scope = object.userData ? object.userData.interactionScope : null;
+    return scope === null || scope === undefined || this.activeScopes.has(scope);
+  }
+
+  /**
+   * Update pointer coordinates from event
+   * @param {Object} input - Pointer event or input with clientX and clientY
+   */
+  updatePointer(input) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.pointer.x = ((input.clientX - rect.left) / rect.width) * 2 - 1;
+    this.pointer.y = -((input.clientY - rect.top) / rect.height) * 2 + 1;
+  }
+
+  /**
+   * Convert client coordinates to normalized device coordinates
+   * @param {Object} position - Client position { x, y }
+   * @returns {THREE.Vector2} - Screen coordinates for raycasting
+   */
+  clientToPointer(position) {
+    const rect = this.domElement.getBoundingClientRect();
+    return new THREE.Vector2(
+      ((position.x - rect.left) / rect.width) * 2 - 1,
+      -((position.y - rect.top) / rect.height) * 2 + 1
+    );
+  }
+
   /**
    * Find objects intersected by a ray
    * @param {THREE.Vector2} pointer - Screen coordinates (mouse or touch)
@@ -111,141 +259,292 @@ export class InteractionSystem {
   findIntersectedObjects(pointer) {
     this.raycaster.setFromCamera(pointer, this.camera);
 
-    // Filter only interactive objects
+    // Filter only interactive objects of the active scopes
     const interactiveObjects = this.interactiveObjects.filter(obj =>
-      obj.userData && obj.userData.interactive && obj.visible
+      obj.userData && obj.userData.interactive && obj.visible && this.isInActiveScope(obj)
     );
 
     return this.raycaster.intersectObjects(interactiveObjects, true);
   }
 
   /**
-   * Handle mouse down event
-   * @param {MouseEvent} event - Mouse event
+   * Check whether an object can currently be dragged
+   * @param {THREE.Object3D} object - Registered object
+   * @returns {boolean} - True if the object has drag callbacks and allows dragging
    */
-  onMouseDown(event) {
-    event.preventDefault();
-    this.updateMouse(event);
+  canDrag(object) {
+    const callbacks = object.userData.callbacks;
+    if (!callbacks || !callbacks.onDragStart || !callbacks.onDrag) return false;
 
-    const intersects = this.findIntersectedObjects(this.mouse);
+    return callbacks.canDrag ? callbacks.canDrag() : true;
+  }
 
-    if (intersects.length > 0) {
-      const object = this.findInteractiveParent(intersects[0].object);
+  /**
+   * Remember a press on a draggable object. It only becomes a drag once the
+   * pointer moves past the drag threshold, so the object can still be tapped.
+   * @param {Object} input - Pointer input { pointerId, clientX, clientY }
+   */
+  startPendingDrag(input) {
+    const intersects = this.findIntersectedObjects(this.pointer);
+    if (intersects.length === 0) return;
+
+    const object = this.findInteractiveParent(intersects[0].object);
+
+    if (object && this.canDrag(object)) {
+      this.pendingDrag = {
+        pointerId: input.pointerId,
+        object,
+        point: intersects[0].point.clone(),
+        clientX: input.clientX,
+        clientY: input.clientY
+      };
+    }
+  }
+
+  /**
+   * Turn the pending press into a drag
+   */
+  startDrag() {
+    const { object, point, pointerId } = this.pendingDrag;
+    this.pendingDrag = null;
 
-      if (object && object.userData.callbacks && object.userData.callbacks.onDragStart) {
-        // Start dragging
-        this.isDragging = true;
-        this.dragObject = object;
-        this.dragStartPosition = object.position.clone();
+    this.isDragging = true;
+    this.dragObject = object;
+    this.dragPointerId = pointerId;
+    this.dragStartPosition = object.position.clone();
 
-        // Calculate drag plane and offset
-        this.setupDragPlane(intersects[0].point, object);
+    // Calculate drag plane and offset
+    this.setupDragPlane(point, object);
 
-        // Call onDragStart callback
-        object.userData.callbacks.onDragStart(intersects[0].point);
-      } else if (object && object.userData.callbacks && object.userData.callbacks.onClick) {
-        // Just a click, not a drag
-        object.userData.callbacks.onClick();
+    // Call onDragStart callback
+    object.userData.callbacks.onDragStart(point);
+  }
+
+  /**
+   * End the drag in progress, if any
+   */
+  endDrag() {
+    if (this.isDragging && this.dragObject) {
+      if (this.dragObject.userData.callbacks && this.dragObject.userData.callbacks.onDragEnd) {
+        this.dragObject.userData.callbacks.onDragEnd();
       }
     }
+
+    this.isDragging = false;
+    this.dragObject = null;
+    this.dragPointerId = null;
+    this.pendingDrag = null;
   }
 
   /**
-   * Handle mouse move event
-   * @param {MouseEvent} event - Mouse event
+   * Press a pointer. Shared by pointer events and the gamepad cursor.
+   * @param {Object} input - Pointer input { pointerId, clientX, clientY, timeStamp }
    */
-  onMouseMove(event) {
-    event.preventDefault();
-    this.updateMouse(event);
-
-    // Handle dragging
-    if (this.isDragging && this.dragObject) {
-      this.handleDragMove(this.mouse);
-    } else {
-      // Handle hover
-      this.handleHover(this.mouse);
+  pressPointer(input) {
+    this.activePointers.add(input.pointerId);
+    this.gestureRecognizer.pointerDown(input.pointerId, input.clientX, input.clientY, input.timeStamp);
+
+    // A second finger turns a drag into a pinch or rotate
+    if (this.activePointers.size > 1) {
+      this.endDrag();
+      return;
     }
+
+    this.updatePointer(input);
+
+    // Taps are delivered as gestures, see onGesture()
+    this.startPendingDrag(input);
   }
 
   /**
-   * Handle mouse up event
-   * @param {MouseEvent} event - Mouse event
+   * Move a pointer
+   * @param {Object} input - Pointer input { pointerId, clientX, clientY, timeStamp }
+   * @param {boolean} canHover - Whether the pointer hovers when no button is pressed
    */
-  onMouseUp(event) {
-    event.preventDefault();
+  movePointer(input, canHover) {
+    this.gestureRecognizer.pointerMove(input.pointerId, input.clientX, input.clientY, input.timeStamp);
+
+    // Only the pointer that pressed an object can drag it
+    if (this.pendingDrag && this.pendingDrag.pointerId === input.pointerId) {
+      const distance = Math.hypot(
+        input.clientX - this.pendingDrag.clientX,
+        input.clientY - this.pendingDrag.clientY
+      );
+
+      if (distance > this.options.dragThreshold) {
+        this.startDrag();
+      }
+    }
 
-    // Handle drag end
     if (this.isDragging && this.dragObject) {
-      if (this.dragObject.userData.callbacks && this.dragObject.userData.callbacks.onDragEnd) {
-        this.dragObject.userData.callbacks.onDragEnd();
+      if (input.pointerId === this.dragPointerId) {
+        this.updatePointer(input);
+        this.handleDragMove(this.pointer);
       }
+    } else if (canHover && this.activePointers.size === 0) {
+      this.updatePointer(input);
+      this.handleHover(this.pointer);
+    }
+  }
 
-      this.isDragging = false;
-      this.dragObject = null;
+  /**
+   * Release a pointer
+   * @param {Object} input - Pointer input { pointerId, clientX, clientY, timeStamp }
+   */
+  releasePointer(input) {
+    this.activePointers.delete(input.pointerId);
+    this.gestureRecognizer.pointerUp(input.pointerId, input.clientX, input.clientY, input.timeStamp);
+
+    if (input.pointerId === this.dragPointerId ||
+        (this.pendingDrag && this.pendingDrag.pointerId === input.pointerId)) {
+      this.endDrag();
     }
   }
 
   /**
-   * Handle touch start event
-   * @param {TouchEvent} event - Touch event
+   * Handle pointer down event
+   * @param {PointerEvent} event - Pointer event
    */
-  onTouchStart(event) {
+  onPointerDown(event) {
     event.preventDefault();
-    this.updateTouch(event);
 
-    const intersects = this.findIntersectedObjects(this.touch);
+    // Pointer input takes over from the keyboard and gamepad
+    this.setFocus(null);
+    this.gamepadCursor.hide();
 
-    if (intersects.length > 0) {
-      const object = this.findInteractiveParent(intersects[0].object);
+    // Keep receiving moves even if the pointer leaves the canvas mid-drag
+    if (this.domElement.setPointerCapture) {
+      this.domElement.setPointerCapture(event.pointerId);
+    }
 
-      if (object && object.userData.callbacks && object.userData.callbacks.onDragStart) {
-        // Start dragging
-        this.isDragging = true;
-        this.dragObject = object;
-        this.dragStartPosition = object.position.clone();
+    this.pressPointer(event);
+  }
 
-        // Calculate drag plane and offset
-        this.setupDragPlane(intersects[0].point, object);
+  /**
+   * Handle pointer move event
+   * @param {PointerEvent} event - Pointer event
+   */
+  onPointerMove(event) {
+    event.preventDefault();
 
-        // Call onDragStart callback
-        object.userData.callbacks.onDragStart(intersects[0].point);
-      } else if (object && object.userData.callbacks && object.userData.callbacks.onClick) {
-        // Just a tap, not a drag
-        object.userData.callbacks.onClick();
-      }
-    }
+    // Hover only makes sense for mouse and pen
+    this.movePointer(event, event.pointerType !== 'touch');
   }
 
   /**
-   * Handle touch move event
-   * @param {TouchEvent} event - Touch event
+   * Handle pointer up event
+   * @param {PointerEvent} event - Pointer event
    */
-  onTouchMove(event) {
+  onPointerUp(event) {
     event.preventDefault();
-    this.updateTouch(event);
+    this.releasePointer(event);
+  }
 
-    // Handle dragging
-    if (this.isDragging && this.dragObject) {
-      this.handleDragMove(this.touch);
+  /**
+   * Handle pointer cancel event (e.g. the browser took over the touch)
+   * @param {PointerEvent} event - Pointer event
+   */
+  onPointerCancel(event) {
+    this.activePointers.delete(event.pointerId);
+    this.gestureRecognizer.cancel();
+    this.endDrag();
+  }
+
+  /**
+   * Handle the pointer leaving the canvas
+   * @param {PointerEvent} event - Pointer event
+   */
+  onPointerLeave(event) {
+    if (this.hoveredObject) {
+      this.removeHighlight(this.hoveredObject);
+      this.hoveredObject = null;
     }
   }
 
   /**
-   * Handle touch end event
-   * @param {TouchEvent} event - Touch event
+   * Deliver a recognized gesture to the object under it and emit it as EventBus.EVENTS.GESTURE
+   * @param {string} type - Gesture type (see GestureRecognizer)
+   * @param {Object} detail - Gesture details
    */
-  onTouchEnd(event) {
-    event.preventDefault();
+  onGesture(type, detail) {
+    let object = null;
 
-    // Handle drag end
-    if (this.isDragging && this.dragObject) {
-      if (this.dragObject.userData.callbacks && this.dragObject.userData.callbacks.onDragEnd) {
-        this.dragObject.userData.callbacks.onDragEnd();
+    if (detail.phase && detail.phase !== 'start') {
+      // Pinch and rotate updates go to the object the gesture started on
+      object = this.gestureTargets[type] || null;
+    } else {
+      const pointer = this.clientToPointer(detail.position || detail.center);
+      const intersects = this.findIntersectedObjects(pointer);
+
+      if (intersects.length > 0) {
+        object = this.findInteractiveParent(intersects[0].object);
       }
+    }
 
-      this.isDragging = false;
-      this.dragObject = null;
+    if (detail.phase === 'start') {
+      this.gestureTargets[type] = object;
+    } else if (detail.phase === 'end') {
+      delete this.gestureTargets[type];
     }
+
+    // A finger dragging an object is a drag, not a swipe
+    const dragged = type === 'swipe' && object && object === this.dragObject;
+
+    const callbacks = object && !dragged ? object.userData.callbacks : null;
+
+    if (callbacks) {
+      if (type === 'tap' && callbacks.onDoubleTap) {
+        // Only objects that handle double taps wait to see if a second tap follows
+        this.holdTap(object, detail);
+      } else if (type === 'doubleTap' && !callbacks.onDoubleTap) {
+        // Other objects get the second tap of a double tap as a tap
+        if (callbacks.onClick) {
+          callbacks.onClick(detail);
+        }
+      } else {
+        if (type === 'doubleTap') {
+          this.cancelPendingTap();
+        }
+
+        const callback = callbacks[InteractionSystem.GESTURE_CALLBACKS[type]];
+        if (callback) {
+          callback(detail);
+        }
+      }
+    }
+
+    // Let scenes react to gestures anywhere on screen
+    eventBus.emit(EventBus.EVENTS.GESTURE, {
+      type,
+      object,
+      ...detail
+    });
+  }
+
+  /**
+   * Deliver a tap once it is clear it isn't the first tap of a double tap
+   * @param {THREE.Object3D} object - Tapped object
+   * @param {Object} detail - Tap details
+   */
+  holdTap(object, detail) {
+    this.cancelPendingTap();
+
+    this.pendingTap = setTimeout(() => {
+      this.pendingTap = null;
+
+      // The object may have been unregistered meanwhile
+      if (object.userData.callbacks && object.userData.callbacks.onClick) {
+        object.userData.callbacks.onClick(detail);
+      }
+    }, this.gestureRecognizer.options.doubleTapInterval);
+  }
+
+  /**
+   * Drop a tap held back by holdTap()
+   */
+  cancelPendingTap() {
+    clearTimeout(this.pendingTap);
+    this.pendingTap = null;
   }
 
   /**
@@ -282,6 +581,260 @@ export class InteractionSystem {
     }
   }
 
+  /**
+   * Get the objects that can receive keyboard focus, left to right on screen
+   * @returns {Array<THREE.Object3D>} - Focusable objects
+   */
+  getFocusableObjects() {
+    return this.interactiveObjects
+      .filter(obj => obj.userData.interactive && obj.visible && this.isInActiveScope(obj))
+      .map(obj => ({ object: obj, screen: this.getScreenPosition(obj) }))
+      .filter(entry => entry.screen.z < 1) // In front of the camera
+      .sort((a, b) => a.screen.x - b.screen.x || b.screen.y - a.screen.y)
+      .map(entry => entry.object);
+  }
+
+  /**
+   * Get an object's position in normalized device coordinates
+   * @param {THREE.Object3D} object - The object
+   * @returns {THREE.Vector3} - Screen position (z > 1 means behind the camera)
+   */
+  getScreenPosition(object) {
+    const position = new THREE.Vector3();
+    object.getWorldPosition(position);
+    return position.project(this.camera);
+  }
+
+  /**
+   * Move the keyboard focus to an object
+   * @param {THREE.Object3D|null} object - Object to focus, or null to clear the focus
+   */
+  setFocus(object) {
+    if (object === this.focusedObject) return;
+
+    this.endKeyboardDrag();
+
+    if (this.focusedObject) {
+      this.removeHighlight(this.focusedObject);
+    }
+
+    this.focusedObject = object;
+
+    if (object) {
+      this.addHighlight(object);
+    }
+  }
+
+  /**
+   * Move the focus to the next or previous object in screen order
+   * @param {number} step - 1 for next, -1 for previous
+   * @returns {boolean} - False when moving past either end of the list
+   */
+  cycleFocus(step) {
+    const objects = this.getFocusableObjects();
+    if (objects.length === 0) return false;
+
+    const index = objects.indexOf(this.focusedObject);
+    const nextIndex = index === -1 ? (step > 0 ? 0 : objects.length - 1) : index + step;
+
+    if (nextIndex < 0 || nextIndex >= objects.length) {
+      this.setFocus(null);
+      return false;
+    }
+
+    this.setFocus(objects[nextIndex]);
+    return true;
+  }
+
+  /**
+   * Move the focus to the closest object in a screen direction
+   * @param {THREE.Vector2} direction - Direction on screen (x right, y up)
+   */
+  moveFocus(direction) {
+    if (!this.focusedObject) {
+      this.cycleFocus(1);
+      return;
+    }
+
+    const from = this.getScreenPosition(this.focusedObject);
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const object of this.getFocusableObjects()) {
+      if (object === this.focusedObject) continue;
+
+      const to = this.getScreenPosition(object);
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+
+      // Distance along the direction, with a penalty for drifting sideways
+      const along = dx * direction.x + dy * direction.y;
+      if (along <= 0) continue;
+
+      const across = Math.abs(dx * direction.y - dy * direction.x);
+      const score = along + across * 2;
+
+      if (score < bestScore) {
+        bestScore = score;
+        best = object;
+      }
+    }
+
+    if (best) {
+      this.setFocus(best);
+    }
+  }
+
+  /**
+   * Move the focused object with the arrow keys through its drag callbacks
+   * @param {THREE.Vector2} direction - Direction on screen (x right, y up)
+   */
+  keyboardDragStep(direction) {
+    const object = this.focusedObject;
+    const callbacks = object.userData.callbacks;
+
+    if (!this.keyboardDrag) {
+      const point = new THREE.Vector3();
+      object.getWorldPosition(point);
+
+      this.keyboardDrag = {
+        object,
+        startPosition: object.position.clone(),
+        position: object.position.clone()
+      };
+
+      if (callbacks.onDragStart) {
+        callbacks.onDragStart(point);
+      }
+    }
+
+    // Step along the camera's axes, scaled so a step looks the same at any distance
+    const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 0);
+    const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 1);
+    const distance = this.camera.position.distanceTo(this.keyboardDrag.position);
+    const step = distance * this.options.keyboardDragStep;
+
+    this.keyboardDrag.position
+      .addScaledVector(right, direction.x * step)
+      .addScaledVector(up, direction.y * step);
+
+    callbacks.onDrag(this.keyboardDrag.position.clone(), this.keyboardDrag.startPosition);
+
+    // Continue from where the object actually went, e.g. when constrained to a path
+    this.keyboardDrag.position.copy(object.position);
+  }
+
+  /**
+   * End a drag started with the arrow keys
+   */
+  endKeyboardDrag() {
+    if (!this.keyboardDrag) return;
+
+    const callbacks = this.keyboardDrag.object.userData.callbacks;
+    this.keyboardDrag = null;
+
+    if (callbacks && callbacks.onDragEnd) {
+      callbacks.onDragEnd();
+    }
+  }
+
+  /**
+   * Handle key down event
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  onKeyDown(event) {
+    const direction = InteractionSystem.ARROW_DIRECTIONS[event.key];
+
+    if (event.key === 'Tab') {
+      // Let Tab leave the canvas after the last object
+      if (this.cycleFocus(event.shiftKey ? -1 : 1)) {
+        event.preventDefault();
+      }
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+
+      const callbacks = this.focusedObject && this.focusedObject.userData.callbacks;
+      if (callbacks && callbacks.onClick) {
+        callbacks.onClick();
+      } else if (!this.focusedObject) {
+        this.cycleFocus(1);
+      }
+    } else if (direction) {
+      event.preventDefault();
+
+      if (this.focusedObject && this.canDrag(this.focusedObject)) {
+        this.keyboardDragStep(direction);
+      } else {
+        this.moveFocus(direction);
+      }
+    } else if (event.key === 'Escape') {
+      this.setFocus(null);
+    }
+  }
+
+  /**
+   * Handle key up event
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  onKeyUp(event) {
+    if (InteractionSystem.ARROW_DIRECTIONS[event.key]) {
+      this.endKeyboardDrag();
+    }
+  }
+
+  /**
+   * Focus the first object when the canvas is reached with the keyboard
+   */
+  onCanvasFocus() {
+    let keyboardFocus = true;
+
+    try {
+      keyboardFocus = this.domElement.matches(':focus-visible');
+    } catch (error) {
+      // Older browsers without :focus-visible
+    }
+
+    if (keyboardFocus && !this.focusedObject) {
+      this.cycleFocus(1);
+    }
+  }
+
+  /**
+   * Clear the focus when the canvas loses it
+   */
+  onCanvasBlur() {
+    this.setFocus(null);
+  }
+
+  /**
+   * Show an object's hover highlight. Hover and keyboard focus share the
+   * highlight, so it is applied once even when both are on the same object.
+   * @param {THREE.Object3D} object - The object
+   */
+  addHighlight(object) {
+    object.userData.highlightCount = (object.userData.highlightCount || 0) + 1;
+
+    const callbacks = object.userData.callbacks;
+    if (object.userData.highlightCount === 1 && callbacks && callbacks.onHoverStart) {
+      callbacks.onHoverStart();
+    }
+  }
+
+  /**
+   * Remove a highlight added with addHighlight()
+   * @param {THREE.Object3D} object - The object
+   */
+  removeHighlight(object) {
+    if (!object.userData.highlightCount) return;
+
+    object.userData.highlightCount--;
+
+    const callbacks = object.userData.callbacks;
+    if (object.userData.highlightCount === 0 && callbacks && callbacks.onHoverEnd) {
+      callbacks.onHoverEnd();
+    }
+  }
+
   /**
    * Handle hover effects
    * @param {THREE.Vector2} pointer - Screen coordinates (mouse or touch)
@@ -303,9 +856,7 @@ export class InteractionSystem {
 
       // If not hovering anymore, trigger hover end
       if (!stillHovering) {
-        if (this.hoveredObject.userData.callbacks && this.hoveredObject.userData.callbacks.onHoverEnd) {
-          this.hoveredObject.userData.callbacks.onHoverEnd();
-        }
+        this.removeHighlight(this.hoveredObject);
         this.hoveredObject = null;
       }
     }
@@ -316,7 +867,7 @@ export class InteractionSystem {
 
       if (object && object.userData.callbacks && object.userData.callbacks.onHoverStart) {
         this.hoveredObject = object;
-        object.userData.callbacks.onHoverStart();
+        this.addHighlight(object);
       }
     }
   }
@@ -344,6 +895,103 @@ export class InteractionSystem {
    * @param {number} deltaTime - Time since last update in seconds
    */
   update(deltaTime) {
-    // Any continuous updates needed
+    // The Gamepad API has no input events, so poll it every frame
+    const gamepad = this.gamepadInput.poll();
+    if (gamepad) {
+      this.updateGamepad(gamepad, deltaTime);
+    }
+  }
+
+  /**
+   * Handle gamepad input: the left stick moves a cursor that hovers, taps and drags
+   * like a pointer, the D-pad moves the focus ring and A activates
+   * @param {Object} gamepad - Gamepad state from GamepadInput.poll()
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  updateGamepad(gamepad, deltaTime) {
+    const { stick, pressed, released } = gamepad;
+
+    // Left stick moves the cursor
+    if (stick.x !== 0 || stick.y !== 0) {
+      if (!this.gamepadCursor.visible) {
+        this.setFocus(null);
+        this.gamepadCursor.show();
+      }
+
+      const distance = this.options.gamepadCursorSpeed * deltaTime;
+      this.gamepadCursor.moveBy(stick.x * distance, stick.y * distance);
+      this.movePointer(this.getGamepadPointerInput(), true);
+    }
+
+    // D-pad moves the focus ring
+    for (const [button, key] of Object.entries(InteractionSystem.GAMEPAD_DPAD)) {
+      if (pressed[button]) {
+        this.gamepadCursor.hide();
+        this.moveFocus(InteractionSystem.ARROW_DIRECTIONS[key]);
+      }
+    }
+
+    // A presses the cursor like a finger, or activates the focused object
+    if (pressed.a) {
+      if (this.gamepadCursor.visible) {
+        this.pressPointer(this.getGamepadPointerInput());
+      } else if (this.focusedObject) {
+        const callbacks = this.focusedObject.userData.callbacks;
+        if (callbacks && callbacks.onClick) {
+          callbacks.onClick();
+        }
+      } else {
+        this.cycleFocus(1);
+      }
+    }
+
+    if (released.a && this.activePointers.has('gamepad')) {
+      this.releasePointer(this.getGamepadPointerInput());
+    }
+  }
+
+  /**
+   * Get pointer input for the gamepad cursor
+   * @returns {Object} - Pointer input { pointerId, clientX, clientY, timeStamp }
+   */
+  getGamepadPointerInput() {
+    return {
+      pointerId: 'gamepad',
+      clientX: this.gamepadCursor.x,
+      clientY: this.gamepadCursor.y,
+      timeStamp: performance.now()
+    };
   }
 }
+
+/**
+ * Object callback invoked for each gesture type
+ */
+InteractionSystem.GESTURE_CALLBACKS = {
+  tap: 'onClick',
+  doubleTap: 'onDoubleTap',
+  longPress: 'onLongPress',
+  swipe: 'onSwipe',
+  pinch: 'onPinch',
+  rotate: 'onRotate'
+};
+
+/**
+ * Screen directions of the arrow keys
+ */
+InteractionSystem.ARROW_DIRECTIONS = {
+  ArrowLeft: new THREE.Vector2(-1, 0),
+  ArrowRight: new THREE.Vector2(1, 0),
+  ArrowUp: new THREE.Vector2(0, 1),
+  ArrowDown: new THREE.Vector2(0, -1)
+};
+
+/**
+ * Arrow keys matching the gamepad's D-pad buttons
+ */
+InteractionSystem.GAMEPAD_DPAD = {
+  left: 'ArrowLeft',
+  right: 'ArrowRight',
+  up: 'ArrowUp',
+  down: 'ArrowDown'
+};
@@ -0,0 +1,323 @@
+/**
+ * Plays narration lines one after another and captions them in the UISystem subtitle area.
+ *
+ * Interruption rules:
+ * - Waiting lines play in priority order, oldest first within a priority
+ * - A line with a higher priority than the one playing interrupts it (the interrupted line is dropped)
+ * - Low priority lines (hints) are dropped instead of queued when anything else is playing or waiting
+ * - A line with a group replaces waiting lines of the same group, so only the latest one is said
+ * - A line that is already waiting isn't queued twice
+ *
+ * Captions come from a WebVTT-like cue file per narration ID and language
+ * (e.g. sounds/narration/en/number3.vtt):
+ *
+ *   WEBVTT
+ *
+ *   00:00.000 --> 00:00.600
+ *   Three!
+ *
+ * Without a cue file, the line's text is shown while it plays. Lines without a recorded clip
+ * are spoken from their text (see AudioManager.playNarration()).
+ */
+export class NarrationQueue {
+  /**
+   * Create a new NarrationQueue
+   * @param {AudioManager} audioManager - Plays the narration audio
+   * @param {UISystem} uiSystem - Shows the captions
+   * @param {Object} options - Queue options
+   */
+  constructor(audioManager, uiSystem, options = {}) {
+    this.audioManager = audioManager;
+    this.uiSystem = uiSystem;
+
+    // Default options
+    const defaultOptions = {
+      cuePath: 'sounds/narration/{locale}/{id}.vtt', // {locale} and {id} are filled in
+      minTextDuration: 1.5, // Seconds a caption without audio stays up
+      textDurationPerCharacter: 0.06 // Extra reading time per character
+    };
+
+    this.options = { ...defaultOptions, ...options };
+
+    // Waiting lines and the line being played
+    this.queue = [];
+    this.current = null;
+    this.lineCounter = 0;
+
+    // Parsed cues by language and narration ID (null when there is no cue file)
+    this.cues = new Map();
+
+    // Caption currently shown
+    this.subtitle = '';
+  }
+
+  /**
+   * Add a line to the queue
+   * @param {string} id - ID of the narration sound
+   * @param {Object} options - Line options
+   * @returns {Promise<boolean>} - Resolves true when the line played to the end,
+   *   false when it was dropped or interrupted
+   */
+  enqueue(id, options = {}) {
+    const defaultOptions = {
+      text: '', // Caption used when there is no cue file
+      priority: NarrationQueue.PRIORITY.NORMAL,
+      group: null, // Lines of a group replace each other while waiting
+      dropIfBusy: null // Defaults to true for low priority lines
+    };
+
+    const settings = { ...defaultOptions, ...options };
+    if (settings.dropIfBusy === null) {
+      settings.dropIfBusy = settings.priority <= NarrationQueue.PRIORITY.LOW;
+    }
+
+    return new Promise((resolve) => {
+      const line = {
+        id,
+        text: settings.text,
+        priority: settings.priority,
+        group: settings.group,
+        order: this.lineCounter++,
+        resolve,
+        cues: null,
+        voice: null,
+        duration: 0,
+        elapsed: 0
+      };
+
+      // Start loading captions right away so they are ready when the line plays
+      this.loadCues(id);
+
+      if (settings.dropIfBusy && (this.current || this.queue.length > 0)) {
+        resolve(false);
+        return;
+      }
+
+      if (this.queue.some(waiting => waiting.id === id)) {
+        resolve(false);
+        return;
+      }
+
+      if (settings.group) {
+        this.queue = this.queue.filter(waiting => {
+          if (waiting.group !== settings.group) return true;
+          waiting.resolve(false);
+          return false;
+        });
+      }
+
+      this.queue.push(line);
+      this.queue.sort((a, b) => b.priority - a.priority || a.order - b.order);
+
+      if (this.current && line.priority > this.current.priority) {
+        this.finishLine(this.current, false);
+      }
+
+      if (!this.current) {
+        this.playNext();
+      }
+    });
+  }
+
+  /**
+   * Stop the line being played and drop everything waiting (e.g. when leaving a scene)
+   */
+  clear() {
+    const waiting = this.queue;
+    this.queue = [];
+
+    for (const line of waiting) {
+      line.resolve(false);
+    }
+
+    if (this.current) {
+      this.finishLine(this.current, false);
+    }
+  }
+
+  /**
+   * Play the next waiting line
+   */
+  async playNext() {
+    const line = this.queue.shift();
+    if (!line) return;
+
+    this.current = line;
+
+    try {
+      line.cues = await this.loadCues(line.id);
+    } catch (error) {
+      console.error(`Error loading captions for ${line.id}:`, error);
+    }
+
+    // Interrupted or cleared while the cues were loading
+    if (this.current !== line) return;
+
+    line.voice = this.audioManager.playNarration(line.id, () => {
+      // Also called right away when there is no audio, which is handled below
+      if (this.current === line && line.voice) {
+        this.finishLine(line, true);
+      }
+    }, { text: line.text });
+
+    if (line.voice) {
+      line.duration = line.voice.duration;
+    } else {
+      // No recording: keep the caption up long enough to be read
+      line.duration = Math.max(
+        this.options.minTextDuration,
+        line.text.length * this.options.textDurationPerCharacter
+      );
+    }
+
+    if (!line.cues) {
+      line.cues = line.text ? [{ start: 0, end: line.duration, text: line.text }] : [];
+    }
+
+    this.updateSubtitle();
+  }
+
+  /**
+   * End a line and move on to the next one
+   * @param {Object} line - The line being played
+   * @param {boolean} completed - Whether the line played to the end
+   */
+  finishLine(line, completed) {
+    if (this.current !== line) return;
+
+    this.current = null;
+
+    if (line.voice && !completed) {
+      this.audioManager.stopNarration();
+    }
+
+    this.showSubtitle('');
+    line.resolve(completed);
+
+    this.playNext();
+  }
+
+  /**
+   * Keep the captions in step with the narration
+   * @param {number} deltaTime - Time since the last update in seconds
+   */
+  update(deltaTime) {
+    const line = this.current;
+    if (!line || !line.cues) return;
+
+    if (line.voice && line.voice.startTime !== null) {
+      // Follow the audio clock, which stops while the audio is paused
+      line.elapsed = this.audioManager.getCurrentTime() - line.voice.startTime;
+    } else {
+      line.elapsed += deltaTime;
+
+      // Spoken lines end when the speech does
+      if (!line.voice && line.elapsed >= line.duration) {
+        this.finishLine(line, true);
+        return;
+      }
+    }
+
+    this.updateSubtitle();
+  }
+
+  /**
+   * Show the cue matching the current line's elapsed time
+   */
+  updateSubtitle() {
+    const line = this.current;
+    if (!line || !line.cues) return;
+
+    const cue = line.cues.find(cue => line.elapsed >= cue.start && line.elapsed < cue.end);
+    this.showSubtitle(cue ? cue.text : '');
+  }
+
+  /**
+   * Update the subtitle area if the caption changed
+   * @param {string} text - Caption text, empty to hide the captions
+   */
+  showSubtitle(text) {
+    if (text === this.subtitle || !this.uiSystem) return;
+
+    this.subtitle = text;
+
+    if (text) {
+      this.uiSystem.showSubtitle(text);
+    } else {
+      this.uiSystem.hideSubtitle();
+    }
+  }
+
+  /**
+   * Load the cue file of a narration
+   * @param {string} id - Narration ID
+   * @returns {Promise<Array|null>} - Cues { start, end, text }, or null if there is no cue file
+   */
+  loadCues(id) {
+    // Captions follow the language of the recordings
+    const locale = this.audioManager.narrationLocale;
+    const key = `${locale}:${id}`;
+
+    if (!this.cues.has(key)) {
+      const url = this.options.cuePath.replace('{locale}', locale).replace('{id}', id);
+      const promise = fetch(url)
+        .then(response => (response.ok ? response.text() : null))
+        .then(text => (text ? this.parseCues(text) : null))
+        .catch(() => null);
+
+      this.cues.set(key, promise);
+    }
+
+    return this.cues.get(key);
+  }
+
+  /**
+   * Parse a WebVTT-like cue file
+   * @param {string} text - File contents
+   * @returns {Array} - Cues { start, end, text } in seconds
+   */
+  parseCues(text) {
+    const cues = [];
+    const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+    for (const block of blocks) {
+      const lines = block.split('\n').filter(line => line.trim() !== '');
+
+      // Cue identifiers are optional, so look for the timing line
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) continue; // Header, NOTE or STYLE block
+
+      const [start, end] = lines[timingIndex].split('-->').map(part => parseTimestamp(part.trim().split(/\s+/)[0]));
+      if (start === null || end === null) {
+        console.warn(`Invalid cue timing: ${lines[timingIndex]}`);
+        continue;
+      }
+
+      cues.push({ start, end, text: lines.slice(timingIndex + 1).join('\n') });
+    }
+
+    return cues;
+  }
+}
+
+/**
+ * Line priorities
+ */
+NarrationQueue.PRIORITY = {
+  LOW: 0, // Hints, dropped when busy
+  NORMAL: 1, // Activity narration, such as numbers and colors
+  HIGH: 2 // Story lines, interrupt anything else
+};
+
+/**
+ * Parse a cue timestamp ("mm:ss.ttt" or "hh:mm:ss.ttt")
+ * @param {string} timestamp - Timestamp text
+ * @returns {number|null} - Time in seconds, or null if it isn't a timestamp
+ */
+function parseTimestamp(timestamp) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/.exec(timestamp || '');
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds] = match;
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseFloat(seconds);
+}
@@ -0,0 +1,208 @@
+import eventBus, { EventBus } from '../utils/EventBus.js';
+
+/**
+ * Saves story progress and settings to localStorage so a child can pick up where they left off.
+ *
+ * A save holds the scene being played, the scenes whose activity is done, the clouds counted
+ * and colors named, the settings, and skill levels that carry over between stories (e.g. the
+ * counting difficulty). Saves carry a version, and a save of another version is ignored.
+ */
+export class SaveSystem {
+  /**
+   * Create a new SaveSystem
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    this.settings = {};
+    this.progress = SaveSystem.createProgress();
+    this.skills = {};
+
+    // Record progress as it happens
+    eventBus.on(EventBus.EVENTS.SCENE_ENTERED, ({ name }) => this.recordScene(name));
+    eventBus.on(EventBus.EVENTS.SCENE_COMPLETED, ({ name }) => this.recordSceneCompleted(name));
+
+    eventBus.on(EventBus.EVENTS.CLOUD_COUNTED, ({ number }) => {
+      this.recordItem('cloudsCounted', number);
+    });
+
+    eventBus.on(EventBus.EVENTS.RAINBOW_COLOR_REACHED, ({ color }) => {
+      this.recordItem('colorsNamed', color);
+    });
+  }
+
+  /**
+   * Create empty story progress
+   * @returns {Object} - Progress { scene, completedScenes, cloudsCounted, colorsNamed }
+   */
+  static createProgress() {
+    return {
+      scene: null,
+      completedScenes: [],
+      cloudsCounted: [],
+      colorsNamed: []
+    };
+  }
+
+  /**
+   * Load the save
+   */
+  load() {
+    try {
+      const data = this.read(SaveSystem.STORAGE_KEY);
+      if (!data) return;
+
+      if (data.version !== SaveSystem.VERSION) {
+        console.warn(`Ignoring save version ${data.version}, this game uses version ${SaveSystem.VERSION}`);
+        return;
+      }
+
+      this.settings = data.settings;
+      this.progress = { ...SaveSystem.createProgress(), ...data.progress };
+      this.skills = data.skills;
+    } catch (error) {
+      console.error('Error loading save:', error);
+    }
+  }
+
+  /**
+   * Read and parse a stored value
+   * @param {string} key - localStorage key
+   * @returns {Object|null} - Parsed value, or null if missing or unreadable
+   */
+  read(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+      console.warn(`Ignoring unreadable save data in ${key}`);
+      return null;
+    }
+  }
+
+  /**
+   * Write the save
+   */
+  save() {
+    try {
+      const data = {
+        version: SaveSystem.VERSION,
+        savedAt: Date.now(),
+        settings: this.game.settings ? { ...this.game.settings.values } : this.settings,
+        progress: this.progress,
+        skills: this.skills
+      };
+
+      localStorage.setItem(SaveSystem.STORAGE_KEY, JSON.stringify(data));
+    } catch (error) {
+      // Storage can be full or disabled (e.g. private browsing); the game still plays
+      console.error('Error saving progress:', error);
+    }
+  }
+
+  /**
+   * Get the saved settings
+   * @returns {Object} - Saved setting values (may be incomplete)
+   */
+  getSettings() {
+    return this.settings;
+  }
+
+  /**
+   * Start recording a new play-through (e.g. when START is pressed)
+   */
+  startNewStory() {
+    this.progress = SaveSystem.createProgress();
+    this.progress.scene = this.game.sceneManager.currentSceneName;
+    this.save();
+  }
+
+  /**
+   * Record the scene being played.
+   * The first scene is the title screen until START is pressed, so it doesn't replace a saved scene.
+   * @param {string} sceneName - Name of the scene
+   */
+  recordScene(sceneName) {
+    const story = this.game.sceneManager.story;
+    if (story && sceneName === story.start) return;
+
+    this.progress.scene = sceneName;
+    this.save();
+  }
+
+  /**
+   * Record a scene's activity as done
+   * @param {string} sceneName - Name of the scene
+   */
+  recordSceneCompleted(sceneName) {
+    this.recordItem('completedScenes', sceneName);
+  }
+
+  /**
+   * Add an item to one of the progress lists
+   * @param {string} list - Progress list name
+   * @param {*} item - Item to add
+   */
+  recordItem(list, item) {
+    if (this.progress[list].includes(item)) return;
+
+    this.progress[list].push(item);
+    this.save();
+  }
+
+  /**
+   * Get a skill level
+   * @param {string} name - Skill name
+   * @param {*} defaultValue - Value if the skill hasn't been saved yet
+   * @returns {*} - Skill level
+   */
+  getSkill(name, defaultValue = null) {
+    return name in this.skills ? this.skills[name] : defaultValue;
+  }
+
+  /**
+   * Save a skill level. Skills are kept when a new story is started.
+   * @param {string} name - Skill name
+   * @param {*} value - Skill level
+   */
+  setSkill(name, value) {
+    this.skills[name] = value;
+    this.save();
+  }
+
+  /**
+   * Check whether there is a story in progress to continue
+   * @returns {boolean} - True if a saved scene can be resumed
+   */
+  canContinue() {
+    const sceneManager = this.game.sceneManager;
+    const node = sceneManager.getStoryNode(this.progress.scene);
+
+    // Nothing to continue at the start or after the ending
+    return Boolean(node && node.next && this.progress.scene !== sceneManager.story.start);
+  }
+
+  /**
+   * Go to the saved scene. Its activity starts over, as scenes reset when entered.
+   * @returns {Promise} - Resolves when the transition is complete
+   */
+  async continueStory() {
+    if (!this.canContinue()) return null;
+
+    return this.game.sceneManager.transitionTo(this.progress.scene, {
+      type: 'fade',
+      duration: 1.0,
+      addToHistory: false
+    });
+  }
+}
+
+/**
+ * localStorage key of the save
+ */
+SaveSystem.STORAGE_KEY = 'duckStory.save';
+
+/**
+ * Current save version
+ */
+SaveSystem.VERSION = 1;
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { SceneTransition } from './SceneTransition.js';
+import eventBus, { EventBus } from '../utils/EventBus.js';
 
 /**
  * Manages scenes and transitions between them
@@ -12,8 +14,19 @@ export class SceneManager {
     this.game = game;
     this.scenes = {};
     this.currentScene = null;
+    this.currentSceneName = null;
     this.previousScene = null;
     this.transitionInProgress = false;
+    this.isPaused = false;
+
+    // Visual transitions
+    this.transitionEffect = new SceneTransition(game.renderer);
+    this.transitionState = null;
+
+    // Story graph driving automatic transitions
+    this.story = null;
+    this.history = [];
+    this.advanceTimeout = null;
   }
 
   /**
@@ -26,10 +39,151 @@ export class SceneManager {
     console.log(`Scene registered: ${name}`);
   }
 
+  /**
+   * Load a story graph, registering its scenes and listening for their completion events
+   * @param {Object} story - Story definition (see scenes/StoryGraph.js)
+   */
+  loadStory(story) {
+    // Stop listening to a previously loaded story
+    if (this.story) {
+      eventBus.offScope(this.story);
+    }
+
+    this.story = story;
+    this.history = [];
+
+    if (this.game.music) {
+      this.game.music.loadTracks(story.music || {});
+    }
+
+    // Register scenes
+    for (const [name, node] of Object.entries(story.scenes)) {
+      if (!this.scenes[name] && node.sceneClass) {
+        this.registerScene(name, new node.sceneClass(this.game));
+      }
+    }
+
+    // Listen for completion events
+    for (const eventName of this.getCompletionEvents(story)) {
+      eventBus.on(eventName, () => this.onStoryEvent(eventName), { scope: story });
+    }
+  }
+
+  /**
+   * Get the unique completion event names of a story
+   * @param {Object} story - Story definition
+   * @returns {Array<string>} - Event names
+   */
+  getCompletionEvents(story) {
+    const events = new Set();
+
+    for (const node of Object.values(story.scenes)) {
+      if (node.completionEvent) {
+        events.add(node.completionEvent);
+      }
+    }
+
+    return [...events];
+  }
+
+  /**
+   * Get the story node of a scene
+   * @param {string} sceneName - Name of the scene (defaults to the current scene)
+   * @returns {Object|null} - Story node or null if not part of the story
+   */
+  getStoryNode(sceneName = this.currentSceneName) {
+    if (!this.story || !sceneName) return null;
+    return this.story.scenes[sceneName] || null;
+  }
+
+  /**
+   * Handle a completion event, advancing the story if it belongs to the current scene
+   * @param {string} eventName - Completion event name
+   */
+  onStoryEvent(eventName) {
+    const node = this.getStoryNode();
+
+    // Ignore events from scenes that are no longer current
+    if (!node || node.completionEvent !== eventName) return;
+
+    console.log(`Scene completed: ${this.currentSceneName}`);
+
+    eventBus.emit(EventBus.EVENTS.SCENE_COMPLETED, {
+      name: this.currentSceneName
+    });
+
+    clearTimeout(this.advanceTimeout);
+    this.advanceTimeout = setTimeout(() => {
+      if (node.exitMessage && this.game.uiSystem) {
+        this.game.uiSystem.showFeedback(this.game.i18n.t(node.exitMessage.key), node.exitMessage.type || 'info', {
+          duration: 3000,
+          animation: 'pop'
+        });
+      }
+
+      this.goToNext();
+    }, node.delay || 0);
+  }
+
+  /**
+   * Go to the next scene in the story
+   * @returns {Promise} - Resolves when transition is complete
+   */
+  async goToNext() {
+    const node = this.getStoryNode();
+
+    if (!node || !node.next) {
+      console.log('End of story reached');
+      return null;
+    }
+
+    return this.transitionTo(node.next, node.transition);
+  }
+
+  /**
+   * Go back to the previously visited scene
+   * @returns {Promise} - Resolves when transition is complete
+   */
+  async goToPrevious() {
+    if (this.history.length === 0) {
+      console.warn('No previous scene to go back to');
+      return null;
+    }
+
+    const previousSceneName = this.history[this.history.length - 1];
+    const scene = await this.transitionTo(previousSceneName, { addToHistory: false });
+
+    // Only forget the scene once we actually went back to it
+    if (scene) {
+      this.history.pop();
+    }
+
+    return scene;
+  }
+
+  /**
+   * Restart the story from its first scene
+   * @returns {Promise} - Resolves when transition is complete
+   */
+  async restart() {
+    if (!this.story) {
+      console.error('No story loaded');
+      return null;
+    }
+
+    const scene = await this.transitionTo(this.story.start, { addToHistory: false });
+    if (scene) {
+      this.history = [];
+    }
+
+    return scene;
+  }
+
   /**
    * Transition to a different scene
    * @param {string} sceneName - Name of the scene to transition to
    * @param {Object} transitionOptions - Options for the transition
+   *   (type: 'none' | 'fade' | 'crossDissolve' | 'cloudWipe', duration in seconds, color)
    * @returns {Promise} - Resolves when transition is complete
    */
   async transitionTo(sceneName, transitionOptions = {}) {
@@ -50,74 +204,306 @@ export class SceneManager {
 
     // Default transition options
     const options = {
+      type: 'fade', // 'none', 'fade', 'crossDissolve', 'cloudWipe'
       duration: 1.0,
+      color: 0xFFFFFF,
       fadeOut: true,
       fadeIn: true,
+      addToHistory: true,
       ...transitionOptions
     };
 
+    // A dissolve is gentler than clouds sweeping across the screen
+    if (options.type === 'cloudWipe' && this.game.settings && this.game.settings.get('reducedMotion')) {
+      options.type = 'crossDissolve';
+    }
+
+    // Cancel any pending automatic advance
+    clearTimeout(this.advanceTimeout);
+
     // Store previous scene
     this.previousScene = this.currentScene;
-
-    // If we have a current scene, fade it out
-    if (this.currentScene && options.fadeOut) {
-      await this.fadeOutScene(this.currentScene, options.duration / 2);
+    if (this.currentSceneName && options.addToHistory) {
+      this.history.push(this.currentSceneName);
     }
 
-    // Initialize the new scene if needed
     const newScene = this.scenes[sceneName];
-    if (!newScene.isInitialized) {
-      await newScene.init();
+
+    // Let the outgoing scene stop its audio, timers and listeners
+    if (this.previousScene) {
+      this.exitScene(this.previousScene, newScene);
+    }
+
+    // Crossfade to the new scene's music while the transition plays
+    if (this.game.music) {
+      const node = this.getStoryNode(sceneName);
+      this.game.music.play(node ? node.music || null : null, {
+        fadeDuration: Math.max(options.duration, 0.5)
+      });
     }
 
-    // Switch to new scene
-    this.currentScene = newScene;
+    const color = new THREE.Color(options.color);
+    const blend = this.previousScene && (options.type === 'crossDissolve' || options.type === 'cloudWipe');
+
+    if (blend) {
+      // Snapshot the camera so the outgoing scene keeps its view while the new one sets up
+      const fromCamera = this.game.camera.clone();
 
-    // Fade in the new scene
-    if (options.fadeIn) {
-      await this.fadeInScene(this.currentScene, options.duration / 2);
+      // Initialize the new scene if needed
+      if (!newScene.isInitialized) {
+        await newScene.init();
+      }
+
+      // Switch to new scene
+      this.currentScene = newScene;
+      this.currentSceneName = sceneName;
+      newScene.isActive = true;
+      this.enterScene(newScene, this.previousScene);
+
+      // Blend the outgoing scene into the new one
+      await this.blendScenes(this.previousScene, newScene, options.duration, options.type, color, fromCamera);
+    } else {
+      // If we have a current scene, fade it out
+      if (this.currentScene && options.type === 'fade' && options.fadeOut) {
+        await this.fadeOutScene(this.currentScene, options.duration / 2, color);
+      }
+
+      // Initialize the new scene if needed
+      if (!newScene.isInitialized) {
+        await newScene.init();
+      }
+
+      // Switch to new scene
+      this.currentScene = newScene;
+      this.currentSceneName = sceneName;
+      this.enterScene(newScene, this.previousScene);
+
+      // Fade in the new scene
+      if (options.type !== 'none' && options.fadeIn) {
+        await this.fadeInScene(this.currentScene, options.duration / 2, color);
+      } else {
+        newScene.isActive = true;
+      }
     }
 
     // Cleanup previous scene if needed
-    if (this.previousScene) {
-      // Keep previous scene initialized but not active
+    if (this.previousScene && this.previousScene !== newScene) {
       this.previousScene.isActive = false;
+
+      // Persistent scenes stay initialized for the next visit
+      if (!this.previousScene.persistent) {
+        this.previousScene.cleanup();
+      }
     }
 
     this.transitionInProgress = false;
     console.log(`Transition to ${sceneName} complete`);
 
+    eventBus.emit(EventBus.EVENTS.SCENE_ENTERED, {
+      name: sceneName,
+      scene: this.currentScene
+    });
+
     return this.currentScene;
   }
 
   /**
-   * Fade out a scene
+   * Call a scene's onEnter hook
+   * @param {BaseScene} scene - Scene being entered
+   * @param {BaseScene|null} previousScene - Scene being left, if any
+   */
+  enterScene(scene, previousScene) {
+    try {
+      // Only the current scene's objects can be tapped and dragged
+      if (this.game.interactionSystem) {
+        this.game.interactionSystem.setActiveScopes(scene.getInteractionScopes());
+      }
+
+      scene.isPaused = false;
+      scene.onEnter(previousScene);
+
+      // Entered while the game is paused (e.g. a transition finishing in a hidden tab)
+      if (this.isPaused) {
+        scene.onPause();
+      }
+    } catch (error) {
+      console.error(`Error entering scene ${scene.constructor.name}:`, error);
+    }
+  }
+
+  /**
+   * Call a scene's onExit hook
+   * @param {BaseScene} scene - Scene being left
+   * @param {BaseScene} nextScene - Scene being entered
+   */
+  exitScene(scene, nextScene) {
+    try {
+      // Nothing is interactive while the transition plays
+      if (this.game.interactionSystem) {
+        this.game.interactionSystem.setActiveScopes([]);
+      }
+
+      // Lines queued by the scene being left aren't said in the next one
+      if (this.game.narrationQueue) {
+        this.game.narrationQueue.clear();
+      }
+
+      scene.onExit(nextScene);
+
+      // Listeners the scene (or its objects) registered with it as scope go with it
+      eventBus.offScope(scene);
+
+      eventBus.emit(EventBus.EVENTS.SCENE_EXITED, {
+        name: this.currentSceneName,
+        scene
+      });
+    } catch (error) {
+      console.error(`Error exiting scene ${scene.constructor.name}:`, error);
+    }
+  }
+
+  /**
+   * Pause the current scene
+   */
+  pause() {
+    if (this.isPaused) return;
+    this.isPaused = true;
+
+    if (this.currentScene) {
+      try {
+        this.currentScene.onPause();
+      } catch (error) {
+        console.error('Error pausing scene:', error);
+      }
+    }
+  }
+
+  /**
+   * Resume the current scene after a pause
+   */
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
+
+    if (this.currentScene) {
+      try {
+        this.currentScene.onResume();
+      } catch (error) {
+        console.error('Error resuming scene:', error);
+      }
+    }
+  }
+
+  /**
+   * Animate the active visual transition's progress
+   * @param {number} duration - Duration in seconds
+   * @param {Function} onProgress - Called with eased progress (0.0 to 1.0) every frame
+   * @returns {Promise} - Resolves when the animation is complete
+   */
+  animateTransition(duration, onProgress) {
+    return new Promise((resolve) => {
+      const startTime = performance.now();
+
+      const step = () => {
+        const elapsed = (performance.now() - startTime) / 1000;
+        const t = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+
+        // Smooth start and end
+        onProgress(t * t * (3 - 2 * t));
+
+        if (t < 1) {
+          requestAnimationFrame(step);
+        } else {
+          resolve();
+        }
+      };
+
+      step();
+    });
+  }
+
+  /**
+   * Fade out a scene to a solid color
    * @param {BaseScene} scene - Scene to fade out
    * @param {number} duration - Duration of fade in seconds
+   * @param {THREE.Color} color - Color to fade to
    * @returns {Promise} - Resolves when fade is complete
    */
-  fadeOutScene(scene, duration) {
-    return new Promise((resolve) => {
-      // Simple implementation - could be enhanced with actual visual fade
-      setTimeout(() => {
-        scene.isActive = false;
-        resolve();
-      }, duration * 1000);
+  async fadeOutScene(scene, duration, color = new THREE.Color(0xFFFFFF)) {
+    this.transitionState = { type: 'fade', from: scene, to: null, progress: 0, color };
+
+    await this.animateTransition(duration, (progress) => {
+      this.transitionState.progress = progress;
     });
+
+    // Stay on the solid color until the next scene fades in
+    scene.isActive = false;
+    this.transitionState.from = null;
   }
 
   /**
-   * Fade in a scene
+   * Fade in a scene from a solid color
    * @param {BaseScene} scene - Scene to fade in
    * @param {number} duration - Duration of fade in seconds
+   * @param {THREE.Color} color - Color to fade from
    * @returns {Promise} - Resolves when fade is complete
    */
-  fadeInScene(scene, duration) {
-    return new Promise((resolve) => {
-      // Simple implementation - could be enhanced with actual visual fade
-      scene.isActive = true;
-      setTimeout(resolve, duration * 1000);
+  async fadeInScene(scene, duration, color = new THREE.Color(0xFFFFFF)) {
+    scene.isActive = true;
+    this.transitionState = { type: 'fade', from: scene, to: null, progress: 1, color };
+
+    await this.animateTransition(duration, (progress) => {
+      this.transitionState.progress = 1 - progress;
     });
+
+    this.transitionState = null;
+  }
+
+  /**
+   * Blend two rendered scenes into each other
+   * @param {BaseScene} fromScene - Outgoing scene
+   * @param {BaseScene} toScene - Incoming scene
+   * @param {number} duration - Duration of the blend in seconds
+   * @param {string} type - Blend type ('crossDissolve' or 'cloudWipe')
+   * @param {THREE.Color} color - Color of the cloud edge for wipes
+   * @param {THREE.Camera} fromCamera - Camera snapshot for the outgoing scene
+   * @returns {Promise} - Resolves when the blend is complete
+   */
+  async blendScenes(fromScene, toScene, duration, type, color, fromCamera = null) {
+    this.transitionState = { type, from: fromScene, to: toScene, fromCamera, progress: 0, color };
+
+    await this.animateTransition(duration, (progress) => {
+      this.transitionState.progress = progress;
+    });
+
+    this.transitionState = null;
+  }
+
+  /**
+   * Render the current scene, or the active transition
+   * @param {THREE.WebGLRenderer} renderer - Renderer to draw with
+   * @param {THREE.Camera} camera - Camera to render from
+   */
+  render(renderer, camera) {
+    if (this.transitionState) {
+      // Solid color between a fade out and the next fade in
+      if (!this.transitionState.from) {
+        const clearColor = renderer.getClearColor(new THREE.Color());
+        const clearAlpha = renderer.getClearAlpha();
+
+        renderer.setClearColor(this.transitionState.color, 1);
+        renderer.clear();
+        renderer.setClearColor(clearColor, clearAlpha);
+        return;
+      }
+
+      this.transitionEffect.render(this.transitionState, camera);
+      return;
+    }
+
+    if (this.currentScene) {
+      renderer.render(this.currentScene.scene, camera);
+    }
   }
 
   /**
@@ -125,6 +511,8 @@ export class SceneManager {
    * @param {number} deltaTime - Time since last update in seconds
    */
   update(deltaTime) {
+    if (this.isPaused) return;
+
     if (this.currentScene && this.currentScene.isActive) {
       this.currentScene.update(deltaTime);
     }
@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+
+/**
+ * Renders visual transitions between scenes.
+ * Scenes are rendered into render targets and composited by a full-screen shader.
+ */
+export class SceneTransition {
+  /**
+   * Create a new SceneTransition
+   * @param {THREE.WebGLRenderer} renderer - Renderer used by the game
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+
+    // Render targets for the outgoing and incoming scenes
+    this.renderTargets = {
+      from: new THREE.WebGLRenderTarget(1, 1),
+      to: new THREE.WebGLRenderTarget(1, 1)
+    };
+    this.size = new THREE.Vector2(1, 1);
+
+    // Full-screen quad
+    this.material = this.createMaterial();
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+    this.quad.frustumCulled = false;
+
+    this.scene = new THREE.Scene();
+    this.scene.add(this.quad);
+    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  }
+
+  /**
+   * Create the compositing shader material
+   * @returns {THREE.ShaderMaterial} - The material
+   */
+  createMaterial() {
+    return new THREE.ShaderMaterial({
+      uniforms: {
+        tFrom: { value: this.renderTargets.from.texture },
+        tTo: { value: this.renderTargets.to.texture },
+        progress: { value: 0 },
+        mode: { value: SceneTransition.MODES.fade },
+        color: { value: new THREE.Color(0xFFFFFF) },
+        aspect: { value: 1 }
+      },
+      vertexShader: `
+        varying vec2 vUv;
+        void main() {
+          vUv = uv;
+          gl_Position = vec4(position.xy, 0.0, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform sampler2D tFrom;
+        uniform sampler2D tTo;
+        uniform float progress;
+        uniform int mode;
+        uniform vec3 color;
+        uniform float aspect;
+        varying vec2 vUv;
+
+        float hash(vec2 p) {
+          return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+        }
+
+        float noise(vec2 p) {
+          vec2 i = floor(p);
+          vec2 f = fract(p);
+          vec2 u = f * f * (3.0 - 2.0 * f);
+          return mix(
+            mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x),
+            mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x),
+            u.y
+          );
+        }
+
+        float fbm(vec2 p) {
+          float value = 0.0;
+          float amplitude = 0.5;
+          for (int i = 0; i < 4; i++) {
+            value += amplitude * noise(p);
+            p *= 2.0;
+            amplitude *= 0.5;
+          }
+          return value;
+        }
+
+        void main() {
+          vec4 fromColor = texture2D(tFrom, vUv);
+          vec4 toColor = texture2D(tTo, vUv);
+          vec4 result;
+
+          if (mode == 0) {
+            // Fade: blend the scene in tFrom with a solid color
+            result = vec4(mix(fromColor.rgb, color, progress), 1.0);
+          } else if (mode == 1) {
+            // Cross-dissolve between both scenes
+            result = mix(fromColor, toColor, progress);
+          } else {
+            // Cloud wipe: a puffy cloud edge sweeps across the screen
+            float puffs = fbm(vec2(vUv.x * aspect, vUv.y) * vec2(4.0, 8.0));
+            float edge = vUv.x + (puffs - 0.5) * 0.3;
+            float front = progress * 1.6 - 0.3;
+
+            float notYetRevealed = smoothstep(front - 0.05, front + 0.05, edge);
+            float cloud = 1.0 - smoothstep(0.0, 0.12, abs(edge - front));
+
+            result = mix(toColor, fromColor, notYetRevealed);
+            result.rgb = mix(result.rgb, color, cloud * 0.9);
+          }
+
+          gl_FragColor = result;
+          #include <colorspace_fragment>
+        }
+      `,
+      depthTest: false,
+      depthWrite: false
+    });
+  }
+
+  /**
+   * Resize render targets to match the renderer's drawing buffer
+   */
+  updateSize() {
+    const size = new THREE.Vector2();
+    this.renderer.getDrawingBufferSize(size);
+
+    if (!size.equals(this.size)) {
+      this.size.copy(size);
+      this.renderTargets.from.setSize(size.x, size.y);
+      this.renderTargets.to.setSize(size.x, size.y);
+      this.material.uniforms.aspect.value = size.x / Math.max(size.y, 1);
+    }
+  }
+
+  /**
+   * Render a frame of a transition
+   * @param {Object} state - Transition state
+   * @param {string} state.type - Transition type ('fade', 'crossDissolve', 'cloudWipe')
+   * @param {BaseScene} state.from - Scene shown at progress 0 (the only scene for fades)
+   * @param {BaseScene} state.to - Scene shown at progress 1
+   * @param {THREE.Camera} state.fromCamera - Optional camera snapshot for the outgoing scene
+   * @param {number} state.progress - Transition progress (0.0 to 1.0)
+   * @param {THREE.Color} state.color - Fade or cloud color
+   * @param {THREE.Camera} camera - Camera to render the scenes with
+   */
+  render(state, camera) {
+    this.updateSize();
+
+    const previousTarget = this.renderer.getRenderTarget();
+
+    if (state.from) {
+      this.renderer.setRenderTarget(this.renderTargets.from);
+      this.renderer.render(state.from.scene, state.fromCamera || camera);
+    }
+
+    if (state.to) {
+      this.renderer.setRenderTarget(this.renderTargets.to);
+      this.renderer.render(state.to.scene, camera);
+    }
+
+    this.renderer.setRenderTarget(previousTarget);
+
+    // Composite
+    const uniforms = this.material.uniforms;
+    uniforms.progress.value = state.progress;
+    uniforms.mode.value = SceneTransition.MODES[state.type] ?? SceneTransition.MODES.fade;
+    uniforms.color.value.copy(state.color);
+
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  /**
+   * Dispose of GPU resources
+   */
+  dispose() {
+    this.renderTargets.from.dispose();
+    this.renderTargets.to.dispose();
+    this.quad.geometry.dispose();
+    this.material.dispose();
+  }
+}
+
+/**
+ * Shader modes for each transition type
+ */
+SceneTransition.MODES = {
+  fade: 0,
+  crossDissolve: 1,
+  cloudWipe: 2
+};
@@ -0,0 +1,129 @@
+import { I18n } from './I18n.js';
+import eventBus, { EventBus } from '../utils/EventBus.js';
+
+/**
+ * Audio and accessibility settings, saved with the game's progress (see SaveSystem).
+ * Changing a setting applies it to the game right away and emits EventBus.EVENTS.SETTINGS_CHANGED.
+ */
+export class Settings {
+  /**
+   * Create a new Settings
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    this.game = game;
+    this.values = Settings.getDefaults();
+  }
+
+  /**
+   * Get the default settings, following the browser's preferences where it has them
+   * @returns {Object} - Default values
+   */
+  static getDefaults() {
+    const browserLanguage = (navigator.language || 'en').split('-')[0];
+
+    return {
+      masterVolume: 1.0,
+      soundEffectsVolume: 0.8,
+      backgroundMusicVolume: 0.5,
+      narrationVolume: 1.0,
+      muted: false,
+      subtitles: true,
+      reducedMotion: Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches),
+      language: browserLanguage in I18n.LOCALES ? browserLanguage : 'en'
+    };
+  }
+
+  /**
+   * Restore saved settings, keeping defaults for anything missing or invalid
+   * @param {Object} saved - Saved setting values
+   */
+  restore(saved) {
+    if (!saved || typeof saved !== 'object') return;
+
+    const defaults = Settings.getDefaults();
+    for (const [key, value] of Object.entries(saved)) {
+      if (key in defaults && typeof value === typeof defaults[key]) {
+        this.values[key] = value;
+      }
+    }
+
+    if (!(this.values.language in I18n.LOCALES)) {
+      this.values.language = defaults.language;
+    }
+  }
+
+  /**
+   * Save the settings
+   */
+  save() {
+    if (this.game.saveSystem) {
+      this.game.saveSystem.save();
+    }
+  }
+
+  /**
+   * Get a setting
+   * @param {string} key - Setting name
+   * @returns {*} - Setting value
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * Change a setting, apply it and save
+   * @param {string} key - Setting name
+   * @param {*} value - New value
+   */
+  set(key, value) {
+    if (!(key in this.values)) {
+      console.warn(`Unknown setting: ${key}`);
+      return;
+    }
+
+    if (this.values[key] === value) return;
+
+    this.values[key] = value;
+    this.apply();
+    this.save();
+
+    eventBus.emit(EventBus.EVENTS.SETTINGS_CHANGED, {
+      key,
+      value
+    });
+  }
+
+  /**
+   * Apply all settings to the game's systems
+   */
+  apply() {
+    const { audioManager, uiSystem, i18n } = this.game;
+
+    if (i18n) {
+      i18n.setLocale(this.values.language);
+    }
+
+    if (audioManager) {
+      audioManager.setMasterVolume(this.values.masterVolume);
+      audioManager.setSoundEffectsVolume(this.values.soundEffectsVolume);
+      audioManager.setBackgroundMusicVolume(this.values.backgroundMusicVolume);
+      audioManager.setNarrationVolume(this.values.narrationVolume);
+
+      if (this.values.muted) {
+        audioManager.mute();
+      } else {
+        audioManager.unmute();
+      }
+
+      audioManager.setNarrationLocale(this.values.language);
+    }
+
+    // UISystem follows the language's text direction itself
+    if (uiSystem) {
+      uiSystem.setSubtitlesEnabled(this.values.subtitles);
+      uiSystem.setReducedMotion(this.values.reducedMotion);
+    }
+  }
+}
+
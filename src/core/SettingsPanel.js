@@ -0,0 +1,248 @@
+import { I18n } from './I18n.js';
+import eventBus, { EventBus } from '../utils/EventBus.js';
+
+/**
+ * Settings panel for grown-ups: volumes, captions, reduced motion and language, and the progress report.
+ * The settings button is protected by the parental gate (see UISystem.showParentalGate()).
+ */
+export class SettingsPanel {
+  /**
+   * Create a new SettingsPanel
+   * @param {Game} game - Reference to the main game instance
+   * @param {Object} options - Panel options
+   */
+  constructor(game, options = {}) {
+    this.game = game;
+
+    // Default options
+    const defaultOptions = {
+      volumeStep: 0.1
+    };
+
+    this.options = { ...defaultOptions, ...options };
+
+    this.isOpen = false;
+    this.element = null;
+    this.buttonIds = [];
+    this.rows = [];
+
+    // Bound event handlers
+    this.onKeyDown = this.onKeyDown.bind(this);
+
+    this.createOpenButton();
+  }
+
+  /**
+   * Create the settings button, which asks for a grown-up before opening the panel
+   */
+  createOpenButton() {
+    const uiSystem = this.game.uiSystem;
+
+    this.openButtonId = uiSystem.createButton('⚙', () => this.open(), {
+      size: 'medium',
+      type: 'secondary',
+      protected: true,
+      parent: uiSystem.containers.controls
+    });
+
+    this.updateOpenButtonLabel();
+    eventBus.on(EventBus.EVENTS.LOCALE_CHANGED, () => this.updateOpenButtonLabel());
+  }
+
+  /**
+   * Label the settings button in the current language
+   */
+  updateOpenButtonLabel() {
+    const button = this.game.uiSystem.activeElements[this.openButtonId];
+    if (button) {
+      button.setAttribute('aria-label', this.game.i18n.t('settings.title'));
+    }
+  }
+
+  /**
+   * Open the panel
+   */
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+
+    const uiSystem = this.game.uiSystem;
+    const settings = this.game.settings;
+    const t = (key) => this.game.i18n.t(key);
+
+    // The backdrop keeps taps from reaching the game underneath
+    this.element = document.createElement('div');
+    this.element.className = 'ui-modal-backdrop';
+
+    const panel = document.createElement('div');
+    panel.className = 'ui-modal ui-settings-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', t('settings.title'));
+    this.element.appendChild(panel);
+
+    const title = document.createElement('h2');
+    title.textContent = t('settings.title');
+    panel.appendChild(title);
+
+    // Volumes
+    const volumes = [
+      ['masterVolume', 'settings.volume'],
+      ['soundEffectsVolume', 'settings.sounds'],
+      ['backgroundMusicVolume', 'settings.music'],
+      ['narrationVolume', 'settings.voice']
+    ];
+
+    const percentFormat = new Intl.NumberFormat(this.game.i18n.locale, { style: 'percent' });
+
+    for (const [key, label] of volumes) {
+      this.addRow(panel, t(label), () => percentFormat.format(settings.get(key)), [
+        ['−', () => this.changeVolume(key, -this.options.volumeStep)],
+        ['+', () => this.changeVolume(key, this.options.volumeStep)]
+      ]);
+    }
+
+    // Toggles
+    const toggles = [
+      ['muted', 'settings.mute'],
+      ['subtitles', 'settings.subtitles'],
+      ['reducedMotion', 'settings.reducedMotion']
+    ];
+
+    for (const [key, label] of toggles) {
+      this.addRow(panel, t(label), () => t(settings.get(key) ? 'settings.on' : 'settings.off'), [
+        [t('settings.change'), () => settings.set(key, !settings.get(key))]
+      ]);
+    }
+
+    // Language
+    this.addRow(panel, t('settings.language'), () => I18n.LOCALES[settings.get('language')].name, [
+      [t('settings.change'), () => this.nextLanguage()]
+    ]);
+
+    const footer = document.createElement('div');
+    footer.className = 'ui-settings-footer';
+    panel.appendChild(footer);
+
+    if (this.game.analytics) {
+      this.buttonIds.push(uiSystem.createButton(t('settings.report'), () => {
+        this.close();
+        this.game.analytics.showReport();
+      }, {
+        type: 'secondary',
+        parent: footer
+      }));
+    }
+
+    this.buttonIds.push(uiSystem.createButton(t('settings.done'), () => this.close(), {
+      type: 'success',
+      parent: footer
+    }));
+
+    uiSystem.containers.main.appendChild(this.element);
+    window.addEventListener('keydown', this.onKeyDown);
+
+    // Start keyboard navigation inside the panel
+    uiSystem.activeElements[this.buttonIds[0]].focus();
+  }
+
+  /**
+   * Add a row showing a setting and buttons to change it
+   * @param {HTMLElement} panel - Panel element
+   * @param {string} label - Setting label
+   * @param {Function} getValue - Returns the value text to show
+   * @param {Array} buttons - [text, onClick] pairs
+   */
+  addRow(panel, label, getValue, buttons) {
+    const row = document.createElement('div');
+    row.className = 'ui-settings-row';
+
+    const labelElement = document.createElement('span');
+    labelElement.className = 'ui-settings-label';
+    labelElement.textContent = label;
+    row.appendChild(labelElement);
+
+    const valueElement = document.createElement('span');
+    valueElement.className = 'ui-settings-value';
+    valueElement.textContent = getValue();
+    row.appendChild(valueElement);
+
+    for (const [text, onClick] of buttons) {
+      this.buttonIds.push(this.game.uiSystem.createButton(text, () => {
+        onClick();
+        this.refresh();
+      }, {
+        size: 'small',
+        type: 'primary',
+        parent: row
+      }));
+    }
+
+    panel.appendChild(row);
+    this.rows.push({ valueElement, getValue });
+  }
+
+  /**
+   * Show the current values
+   */
+  refresh() {
+    for (const { valueElement, getValue } of this.rows) {
+      valueElement.textContent = getValue();
+    }
+  }
+
+  /**
+   * Change a volume by a step
+   * @param {string} key - Volume setting
+   * @param {number} step - Amount to change by
+   */
+  changeVolume(key, step) {
+    // Snap to whole steps so repeated changes don't drift
+    const volumeStep = this.options.volumeStep;
+    const volume = Math.round((this.game.settings.get(key) + step) / volumeStep) * volumeStep;
+    this.game.settings.set(key, Math.max(0, Math.min(1, volume)));
+  }
+
+  /**
+   * Switch to the next available language
+   */
+  nextLanguage() {
+    const languages = Object.keys(I18n.LOCALES);
+    const index = languages.indexOf(this.game.settings.get('language'));
+    this.game.settings.set('language', languages[(index + 1) % languages.length]);
+
+    // Show the panel in the new language
+    this.close();
+    this.open();
+  }
+
+  /**
+   * Close the panel with Escape
+   * @param {KeyboardEvent} event - Key event
+   */
+  onKeyDown(event) {
+    if (event.key === 'Escape') {
+      this.close();
+    }
+  }
+
+  /**
+   * Close the panel
+   */
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+
+    window.removeEventListener('keydown', this.onKeyDown);
+
+    for (const id of this.buttonIds) {
+      delete this.game.uiSystem.activeElements[id];
+    }
+    this.buttonIds = [];
+    this.rows = [];
+
+    if (this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+  }
+}
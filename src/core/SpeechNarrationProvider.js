@@ -0,0 +1,167 @@
+/**
+ * Narration provider that speaks lines with the Web Speech synthesis API.
+ * AudioManager uses it for narration that has no recorded clip.
+ *
+ * A narration provider implements:
+ * - isAvailable(): whether it can speak at all
+ * - speak(text, { volume, onEnd }): start speaking, returns a handle { startTime, duration, stop() } or null
+ * - setLocale(locale): pick a voice for a language
+ * - pause() / resume()
+ */
+export class SpeechNarrationProvider {
+  /**
+   * Create a new SpeechNarrationProvider
+   * @param {Object} options - Voice options
+   */
+  constructor(options = {}) {
+    // Default options
+    const defaultOptions = {
+      locale: document.documentElement.lang || navigator.language || 'en-US',
+      rate: 0.8, // A little slower than conversation, so toddlers can follow
+      pitch: 1.3, // Bright and friendly
+      voiceName: null // Preferred voice, used when installed for the locale
+    };
+
+    this.options = { ...defaultOptions, ...options };
+
+    this.synthesis = window.speechSynthesis || null;
+    this.voice = null;
+
+    // Utterance being spoken
+    this.current = null;
+
+    if (this.synthesis) {
+      this.selectVoice();
+
+      // Most browsers load their voices asynchronously
+      this.synthesis.addEventListener('voiceschanged', () => this.selectVoice());
+    }
+  }
+
+  /**
+   * Check whether speech synthesis is supported
+   * @returns {boolean} - True if lines can be spoken
+   */
+  isAvailable() {
+    return Boolean(this.synthesis);
+  }
+
+  /**
+   * Set the language lines are spoken in
+   * @param {string} locale - BCP 47 language tag (e.g. 'en-US', 'fr')
+   */
+  setLocale(locale) {
+    this.options.locale = locale;
+
+    if (this.synthesis) {
+      this.selectVoice();
+    }
+  }
+
+  /**
+   * Pick the installed voice that best matches the locale:
+   * the preferred voice, then an exact locale match, then any voice for the language
+   */
+  selectVoice() {
+    const voices = this.synthesis.getVoices();
+    const locale = this.options.locale.toLowerCase().replace('_', '-');
+    const language = locale.split('-')[0];
+
+    const normalize = voice => voice.lang.toLowerCase().replace('_', '-');
+    const sameLanguage = voices.filter(voice => normalize(voice).split('-')[0] === language);
+    const sameLocale = sameLanguage.filter(voice => normalize(voice) === locale);
+
+    // Voices on the device keep working offline and start faster
+    const best = candidates => candidates.find(voice => voice.localService) || candidates[0];
+
+    this.voice = sameLanguage.find(voice => voice.name === this.options.voiceName) ||
+      best(sameLocale) ||
+      best(sameLanguage) ||
+      null;
+  }
+
+  /**
+   * Speak a line
+   * @param {string} text - Text to speak
+   * @param {Object} options - Speech options
+   * @returns {Object|null} - Handle { text, startTime, duration, stop() }, or null if nothing is spoken
+   */
+  speak(text, options = {}) {
+    if (!this.synthesis || !text) return null;
+
+    const defaultOptions = {
+      volume: 1.0,
+      onEnd: null // Called when the line finishes or is stopped
+    };
+
+    const settings = { ...defaultOptions, ...options };
+
+    try {
+      // Only one line at a time
+      this.synthesis.cancel();
+
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.lang = this.voice ? this.voice.lang : this.options.locale;
+      utterance.voice = this.voice;
+      utterance.rate = this.options.rate;
+      utterance.pitch = this.options.pitch;
+      utterance.volume = settings.volume;
+
+      let ended = false;
+      const finish = () => {
+        if (ended) return;
+        ended = true;
+
+        if (this.current === utterance) {
+          this.current = null;
+        }
+
+        if (settings.onEnd) settings.onEnd();
+      };
+
+      utterance.addEventListener('end', finish);
+      utterance.addEventListener('error', (event) => {
+        // Stopping a line reports it as interrupted
+        if (event.error !== 'interrupted' && event.error !== 'canceled') {
+          console.warn(`Error speaking "${text}":`, event.error);
+        }
+        finish();
+      });
+
+      this.current = utterance;
+      this.synthesis.speak(utterance);
+
+      return {
+        text,
+        startTime: null, // Speech isn't on the audio clock
+        duration: Infinity, // Unknown until it ends
+        stop: () => {
+          if (this.current !== utterance) return;
+          this.current = null;
+          this.synthesis.cancel();
+        }
+      };
+    } catch (error) {
+      console.error(`Error speaking "${text}":`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Pause speaking
+   */
+  pause() {
+    if (this.synthesis) {
+      this.synthesis.pause();
+    }
+  }
+
+  /**
+   * Resume speaking after pause()
+   */
+  resume() {
+    if (this.synthesis) {
+      this.synthesis.resume();
+    }
+  }
+}
@@ -1,24 +1,51 @@
+import eventBus, { EventBus } from '../utils/EventBus.js';
+
 /**
  * Manages UI elements for the game
  */
 export class UISystem {
   /**
    * Create a new UISystem
+   * @param {I18n} i18n - Translates the UI's own strings
    */
-  constructor() {
+  constructor(i18n = null) {
+    this.i18n = i18n;
+
     // UI containers
     this.containers = {
       main: null,
       educational: null,
       feedback: null,
-      navigation: null
+      navigation: null,
+      subtitles: null,
+      controls: null
     };
 
+    // Caption line shown in the subtitle area
+    this.subtitleElement = null;
+
+    // Challenge used for protected buttons ('arithmetic' or 'hold'), and the gate being shown
+    this.parentalGateMode = 'arithmetic';
+    this.parentalGate = null;
+
+    // Report being shown: { id, buttonIds, onKeyDown }
+    this.report = null;
+
+    // Text direction of the containers ('ltr' or 'rtl')
+    this.direction = 'ltr';
+
     // Active UI elements
     this.activeElements = {};
+    this.elementCounter = 0;
 
     // Initialize UI containers
     this.initContainers();
+
+    // Lay the containers out for the language's text direction
+    if (this.i18n) {
+      this.setDirection(this.i18n.getDirection());
+    }
+    eventBus.on(EventBus.EVENTS.LOCALE_CHANGED, ({ direction }) => this.setDirection(direction));
   }
 
   /**
@@ -75,11 +102,75 @@ export class UISystem {
     this.containers.navigation.style.right = '20px';
     this.containers.navigation.style.pointerEvents = 'auto';
     this.containers.main.appendChild(this.containers.navigation);
+
+    // Create subtitle container (for narration captions)
+    this.containers.subtitles = document.createElement('div');
+    this.containers.subtitles.id = 'subtitle-container';
+    this.containers.subtitles.className = 'ui-container';
+    this.containers.subtitles.style.position = 'absolute';
+    this.containers.subtitles.style.bottom = '90px';
+    this.containers.subtitles.style.left = '50%';
+    this.containers.subtitles.style.transform = 'translateX(-50%)';
+    this.containers.subtitles.style.pointerEvents = 'none';
+    this.containers.main.appendChild(this.containers.subtitles);
+
+    // A single caption line, announced to screen readers as it changes
+    this.subtitleElement = document.createElement('div');
+    this.subtitleElement.className = 'ui-subtitle';
+    this.subtitleElement.setAttribute('aria-live', 'polite');
+    this.subtitleElement.style.visibility = 'hidden';
+    this.containers.subtitles.appendChild(this.subtitleElement);
+
+    // Create controls container (for grown-up controls such as settings)
+    this.containers.controls = document.createElement('div');
+    this.containers.controls.id = 'controls-container';
+    this.containers.controls.className = 'ui-container';
+    this.containers.controls.style.position = 'absolute';
+    this.containers.controls.style.top = '20px';
+    this.containers.controls.style.right = '20px';
+    this.containers.controls.style.pointerEvents = 'auto';
+    this.containers.main.appendChild(this.containers.controls);
+  }
+
+  /**
+   * Translate one of the UI's own strings
+   * @param {string} key - Message key
+   * @param {Object} params - Message parameters
+   * @returns {string} - Translated message
+   */
+  t(key, params = {}) {
+    return this.i18n ? this.i18n.t(key, params) : key;
+  }
+
+  /**
+   * Lay the containers out for a text direction, mirroring the ones pinned to a side
+   * @param {string} direction - 'ltr' or 'rtl'
+   */
+  setDirection(direction) {
+    if (direction === this.direction) return;
+    this.direction = direction;
+
+    this.containers.main.dir = direction;
+
+    for (const name of ['educational', 'navigation', 'controls']) {
+      const style = this.containers[name].style;
+      [style.left, style.right] = [style.right, style.left];
+    }
+  }
+
+  /**
+   * Create a unique element ID
+   * @param {string} prefix - Prefix describing the element type
+   * @returns {string} - Unique element ID
+   */
+  createElementId(prefix) {
+    this.elementCounter++;
+    return `${prefix}-${Date.now()}-${this.elementCounter}`;
   }
 
   /**
    * Show a number display (for counting)
-   * @param {number} number - Number to display
+   * @param {number|string} number - Number to display (a string when already formatted for the locale)
    * @param {Object} options - Display options
    * @returns {string} - ID of the created element
    */
@@ -96,7 +187,7 @@ export class UISystem {
     const settings = { ...defaultOptions, ...options };
 
     // Create element ID
-    const id = `number-${Date.now()}`;
+    const id = this.createElementId('number');
 
     // Create number element
     const numberElement = document.createElement('div');
@@ -206,7 +297,7 @@ export class UISystem {
     const settings = { ...defaultOptions, ...options };
 
     // Create element ID
-    const id = `color-${Date.now()}`;
+    const id = this.createElementId('color');
 
     // Create color element
     const colorElement = document.createElement('div');
@@ -332,7 +423,7 @@ export class UISystem {
     const settings = { ...defaultOptions, ...options };
 
     // Create element ID
-    const id = `feedback-${Date.now()}`;
+    const id = this.createElementId('feedback');
 
     // Create feedback element
     const feedbackElement = document.createElement('div');
@@ -429,13 +520,15 @@ export class UISystem {
       size: 'medium', // 'small', 'medium', 'large'
       type: 'primary', // 'primary', 'secondary', 'success', 'danger'
       position: 'bottom-right', // 'bottom-left', 'bottom-center', 'bottom-right', etc.
-      disabled: false
+      disabled: false,
+      protected: false, // true (or a gate mode, 'arithmetic' or 'hold') to ask for a grown-up first
+      parent: null // Element to add the button to, defaults to the navigation container
     };
 
     const settings = { ...defaultOptions, ...options };
 
     // Create element ID
-    const id = `button-${Date.now()}`;
+    const id = this.createElementId('button');
 
     // Create button element
     const buttonElement = document.createElement('button');
@@ -512,15 +605,26 @@ export class UISystem {
       }
     });
 
+    // Protected buttons open the parental gate first
+    if (settings.protected) {
+      buttonElement.setAttribute('aria-haspopup', 'dialog');
+    }
+
     // Add click handler
     buttonElement.addEventListener('click', (event) => {
-      if (!settings.disabled && onClick) {
+      if (settings.disabled || !onClick) return;
+
+      if (settings.protected) {
+        this.showParentalGate(() => onClick(event), {
+          mode: settings.protected === true ? this.parentalGateMode : settings.protected
+        });
+      } else {
         onClick(event);
       }
     });
 
     // Add to navigation container
-    this.containers.navigation.appendChild(buttonElement);
+    (settings.parent || this.containers.navigation).appendChild(buttonElement);
 
     // Store reference
     this.activeElements[id] = buttonElement;
@@ -545,7 +649,7 @@ export class UISystem {
     const settings = { ...defaultOptions, ...options };
 
     // Create element ID
-    const id = `cause-effect-${Date.now()}`;
+    const id = this.createElementId('cause-effect');
 
     // Create container element
     const containerElement = document.createElement('div');
@@ -583,13 +687,17 @@ export class UISystem {
     // Create cause element
     const causeElement = document.createElement('div');
     causeElement.className = 'cause';
-    causeElement.innerHTML = `<strong>When:</strong> ${cause}`;
+    const causeLabel = document.createElement('strong');
+    causeLabel.textContent = this.t('ui.when');
+    causeElement.append(causeLabel, ` ${cause}`);
     causeElement.style.marginBottom = '10px';
 
     // Create effect element
     const effectElement = document.createElement('div');
     effectElement.className = 'effect';
-    effectElement.innerHTML = `<strong>Then:</strong> ${effect}`;
+    const effectLabel = document.createElement('strong');
+    effectLabel.textContent = this.t('ui.then');
+    effectElement.append(effectLabel, ` ${effect}`);
 
     // Add elements to container
     containerElement.appendChild(causeElement);
@@ -632,6 +740,443 @@ export class UISystem {
     return id;
   }
 
+  /**
+   * Show a summary card (e.g. at the end of the story)
+   * @param {string} title - Summary title
+   * @param {Array<string>} lines - Summary lines
+   * @param {Object} options - Display options
+   * @returns {string} - ID of the created element
+   */
+  showSummary(title, lines = [], options = {}) {
+    const defaultOptions = {
+      duration: 0, // 0 for permanent, otherwise milliseconds
+      animation: 'pop' // 'none', 'pop', 'fade'
+    };
+
+    const settings = { ...defaultOptions, ...options };
+
+    // Create element ID
+    const id = this.createElementId('summary');
+
+    // Create summary element
+    const summaryElement = document.createElement('div');
+    summaryElement.id = id;
+    summaryElement.className = 'ui-summary';
+
+    // Apply styles
+    summaryElement.style.backgroundColor = 'rgba(255, 255, 255, 0.95)';
+    summaryElement.style.color = '#333333';
+    summaryElement.style.padding = '20px 40px';
+    summaryElement.style.borderRadius = '16px';
+    summaryElement.style.fontFamily = 'Arial, sans-serif';
+    summaryElement.style.pointerEvents = 'none';
+    summaryElement.style.textAlign = 'center';
+    summaryElement.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.3)';
+
+    // Create title element
+    const titleElement = document.createElement('div');
+    titleElement.className = 'summary-title';
+    titleElement.textContent = title;
+    titleElement.style.fontSize = '36px';
+    titleElement.style.marginBottom = '10px';
+    summaryElement.appendChild(titleElement);
+
+    // Create one element per line
+    for (const line of lines) {
+      const lineElement = document.createElement('div');
+      lineElement.className = 'summary-line';
+      lineElement.textContent = line;
+      lineElement.style.fontSize = '20px';
+      lineElement.style.margin = '5px 0';
+      summaryElement.appendChild(lineElement);
+    }
+
+    // Apply animation
+    if (settings.animation === 'pop') {
+      summaryElement.style.transition = 'transform 0.3s ease-out';
+      summaryElement.style.transform = 'scale(0)';
+
+      // Force reflow
+      void summaryElement.offsetWidth;
+
+      // Apply animation
+      summaryElement.style.transform = 'scale(1)';
+    } else if (settings.animation === 'fade') {
+      summaryElement.style.transition = 'opacity 0.3s ease-out';
+      summaryElement.style.opacity = '0';
+
+      // Force reflow
+      void summaryElement.offsetWidth;
+
+      // Apply animation
+      summaryElement.style.opacity = '1';
+    }
+
+    // Add to feedback container
+    this.containers.feedback.appendChild(summaryElement);
+
+    // Store reference
+    this.activeElements[id] = summaryElement;
+
+    // Auto-remove if duration is set
+    if (settings.duration > 0) {
+      setTimeout(() => {
+        this.hideElement(id);
+      }, settings.duration);
+    }
+
+    return id;
+  }
+
+  /**
+   * Ask for a grown-up before doing something a toddler shouldn't (e.g. opening settings).
+   * The challenge is either a sum to type in, or a button to hold down.
+   * @param {Function} onPass - Called once the challenge is solved
+   * @param {Object} options - Gate options
+   * @returns {string} - ID of the created element
+   */
+  showParentalGate(onPass, options = {}) {
+    const defaultOptions = {
+      mode: this.parentalGateMode, // 'arithmetic', 'hold'
+      holdDuration: 3000, // milliseconds
+      onCancel: null
+    };
+
+    const settings = { ...defaultOptions, ...options };
+
+    // Only one gate at a time
+    this.hideParentalGate();
+
+    // Create element ID
+    const id = this.createElementId('gate');
+
+    // The backdrop keeps taps from reaching the game underneath
+    const gateElement = document.createElement('div');
+    gateElement.id = id;
+    gateElement.className = 'ui-modal-backdrop';
+
+    const dialogElement = document.createElement('div');
+    dialogElement.className = 'ui-modal ui-gate';
+    dialogElement.setAttribute('role', 'dialog');
+    dialogElement.setAttribute('aria-label', this.t('gate.title'));
+    gateElement.appendChild(dialogElement);
+
+    const titleElement = document.createElement('h2');
+    titleElement.textContent = this.t('gate.title');
+    dialogElement.appendChild(titleElement);
+
+    const promptElement = document.createElement('p');
+    promptElement.className = 'ui-gate-prompt';
+    dialogElement.appendChild(promptElement);
+
+    const gate = {
+      id,
+      buttonIds: [],
+      holdTimeout: null,
+      onKeyDown: null
+    };
+    this.parentalGate = gate;
+
+    const pass = () => {
+      this.hideParentalGate();
+      eventBus.emit(EventBus.EVENTS.PARENTAL_GATE_PASSED, { mode: settings.mode });
+      onPass();
+    };
+
+    const cancel = () => {
+      this.hideParentalGate();
+      eventBus.emit(EventBus.EVENTS.PARENTAL_GATE_CANCELLED, { mode: settings.mode });
+      if (settings.onCancel) settings.onCancel();
+    };
+
+    let focusElement;
+
+    if (settings.mode === 'hold') {
+      promptElement.textContent = this.t('gate.hold');
+
+      const progressElement = document.createElement('div');
+      progressElement.className = 'ui-gate-progress';
+      const fillElement = document.createElement('div');
+      progressElement.appendChild(fillElement);
+      dialogElement.appendChild(progressElement);
+
+      const holdId = this.createButton(this.t('gate.holdButton'), null, { parent: dialogElement });
+      gate.buttonIds.push(holdId);
+      focusElement = this.activeElements[holdId];
+
+      const startHold = (event) => {
+        if (event.type === 'keydown' && (event.repeat || (event.key !== 'Enter' && event.key !== ' '))) return;
+        event.preventDefault();
+
+        clearTimeout(gate.holdTimeout);
+        fillElement.style.transition = `width ${settings.holdDuration / 1000}s linear`;
+        fillElement.style.width = '100%';
+        gate.holdTimeout = setTimeout(pass, settings.holdDuration);
+      };
+
+      const stopHold = () => {
+        clearTimeout(gate.holdTimeout);
+        fillElement.style.transition = 'none';
+        fillElement.style.width = '0';
+      };
+
+      focusElement.addEventListener('pointerdown', startHold);
+      focusElement.addEventListener('keydown', startHold);
+      for (const type of ['pointerup', 'pointerleave', 'pointercancel', 'keyup']) {
+        focusElement.addEventListener(type, stopHold);
+      }
+    } else {
+      const formElement = document.createElement('form');
+      formElement.className = 'ui-gate-form';
+
+      const inputElement = document.createElement('input');
+      inputElement.type = 'text';
+      inputElement.inputMode = 'numeric';
+      inputElement.autocomplete = 'off';
+      inputElement.maxLength = 2;
+      inputElement.setAttribute('aria-label', this.t('gate.answer'));
+      formElement.appendChild(inputElement);
+      dialogElement.appendChild(formElement);
+
+      // Sums a reading grown-up can do at a glance, but a toddler can't guess
+      let answer;
+      const newQuestion = () => {
+        const a = 2 + Math.floor(Math.random() * 8);
+        const b = 2 + Math.floor(Math.random() * 8);
+        answer = a + b;
+        promptElement.textContent = this.t('gate.question', { a, b });
+        inputElement.value = '';
+      };
+      newQuestion();
+
+      const submit = (event) => {
+        if (event) event.preventDefault();
+
+        // Accept Arabic-Indic digits as well
+        const value = inputElement.value.replace(/[\u0660-\u0669\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) & 0xF));
+
+        if (parseInt(value, 10) === answer) {
+          pass();
+        } else {
+          newQuestion();
+          inputElement.focus();
+        }
+      };
+
+      formElement.addEventListener('submit', submit);
+      gate.buttonIds.push(this.createButton(this.t('gate.ok'), submit, { parent: formElement }));
+      focusElement = inputElement;
+    }
+
+    gate.buttonIds.push(this.createButton(this.t('gate.cancel'), cancel, {
+      type: 'secondary',
+      parent: dialogElement
+    }));
+
+    gate.onKeyDown = (event) => {
+      if (event.key === 'Escape') cancel();
+    };
+    window.addEventListener('keydown', gate.onKeyDown);
+
+    this.containers.main.appendChild(gateElement);
+
+    // Store reference
+    this.activeElements[id] = gateElement;
+
+    focusElement.focus();
+
+    return id;
+  }
+
+  /**
+   * Close the parental gate without passing it
+   */
+  hideParentalGate() {
+    const gate = this.parentalGate;
+    if (!gate) return;
+
+    this.parentalGate = null;
+
+    clearTimeout(gate.holdTimeout);
+    window.removeEventListener('keydown', gate.onKeyDown);
+
+    // The buttons go with the gate element
+    for (const buttonId of gate.buttonIds) {
+      delete this.activeElements[buttonId];
+    }
+
+    this.hideElement(gate.id, { animation: 'none', duration: 0 });
+  }
+
+  /**
+   * Show a report table for grown-ups (e.g. the parent progress report)
+   * @param {string} title - Report title
+   * @param {Object} table - { columns: Array<string>, rows: Array<Array<string>> }
+   * @param {Object} options - Report options
+   * @returns {string} - ID of the created element
+   */
+  showReport(title, table, options = {}) {
+    const defaultOptions = {
+      notes: [], // Lines shown under the table
+      actions: [], // Extra [text, onClick] buttons next to the close button
+      onClose: null
+    };
+
+    const settings = { ...defaultOptions, ...options };
+
+    // Only one report at a time
+    this.hideReport();
+
+    // Create element ID
+    const id = this.createElementId('report');
+
+    // The backdrop keeps taps from reaching the game underneath
+    const reportElement = document.createElement('div');
+    reportElement.id = id;
+    reportElement.className = 'ui-modal-backdrop';
+
+    const dialogElement = document.createElement('div');
+    dialogElement.className = 'ui-modal ui-report';
+    dialogElement.setAttribute('role', 'dialog');
+    dialogElement.setAttribute('aria-label', title);
+    reportElement.appendChild(dialogElement);
+
+    const titleElement = document.createElement('h2');
+    titleElement.textContent = title;
+    dialogElement.appendChild(titleElement);
+
+    // Wide tables scroll on small screens
+    const scrollElement = document.createElement('div');
+    scrollElement.className = 'ui-report-scroll';
+    dialogElement.appendChild(scrollElement);
+
+    const tableElement = document.createElement('table');
+    scrollElement.appendChild(tableElement);
+
+    const headerRow = tableElement.createTHead().insertRow();
+    for (const column of table.columns) {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.textContent = column;
+      headerRow.appendChild(cell);
+    }
+
+    const body = tableElement.createTBody();
+    for (const row of table.rows) {
+      const rowElement = body.insertRow();
+      row.forEach((value, index) => {
+        // The first column names the row
+        const cell = document.createElement(index === 0 ? 'th' : 'td');
+        if (index === 0) cell.scope = 'row';
+        cell.textContent = value;
+        rowElement.appendChild(cell);
+      });
+    }
+
+    for (const note of settings.notes) {
+      const noteElement = document.createElement('p');
+      noteElement.className = 'ui-report-note';
+      noteElement.textContent = note;
+      dialogElement.appendChild(noteElement);
+    }
+
+    const footerElement = document.createElement('div');
+    footerElement.className = 'ui-settings-footer';
+    dialogElement.appendChild(footerElement);
+
+    const report = {
+      id,
+      buttonIds: [],
+      onKeyDown: null
+    };
+    this.report = report;
+
+    const close = () => {
+      this.hideReport();
+      if (settings.onClose) settings.onClose();
+    };
+
+    for (const [text, onClick] of settings.actions) {
+      report.buttonIds.push(this.createButton(text, onClick, {
+        type: 'secondary',
+        parent: footerElement
+      }));
+    }
+
+    const closeId = this.createButton(this.t('report.close'), close, {
+      type: 'success',
+      parent: footerElement
+    });
+    report.buttonIds.push(closeId);
+
+    report.onKeyDown = (event) => {
+      if (event.key === 'Escape') close();
+    };
+    window.addEventListener('keydown', report.onKeyDown);
+
+    this.containers.main.appendChild(reportElement);
+
+    // Store reference
+    this.activeElements[id] = reportElement;
+
+    this.activeElements[closeId].focus();
+
+    return id;
+  }
+
+  /**
+   * Close the report
+   */
+  hideReport() {
+    const report = this.report;
+    if (!report) return;
+
+    this.report = null;
+
+    window.removeEventListener('keydown', report.onKeyDown);
+
+    // The buttons go with the report element
+    for (const buttonId of report.buttonIds) {
+      delete this.activeElements[buttonId];
+    }
+
+    this.hideElement(report.id, { animation: 'none', duration: 0 });
+  }
+
+  /**
+   * Show a caption in the subtitle area, replacing the previous one
+   * @param {string} text - Caption text (may contain line breaks)
+   */
+  showSubtitle(text) {
+    if (!this.subtitleElement) return;
+
+    this.subtitleElement.textContent = text;
+    this.subtitleElement.style.visibility = text ? 'visible' : 'hidden';
+  }
+
+  /**
+   * Hide the subtitle area
+   */
+  hideSubtitle() {
+    this.showSubtitle('');
+  }
+
+  /**
+   * Show or hide narration captions
+   * @param {boolean} enabled - Whether captions are shown
+   */
+  setSubtitlesEnabled(enabled) {
+    this.containers.subtitles.style.display = enabled ? 'block' : 'none';
+  }
+
+  /**
+   * Turn UI animations off for players who are sensitive to motion
+   * @param {boolean} enabled - Whether motion is reduced
+   */
+  setReducedMotion(enabled) {
+    document.body.classList.toggle('reduced-motion', enabled);
+  }
+
   /**
    * Hide a UI element
    * @param {string} id - ID of the element to hide
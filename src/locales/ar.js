@@ -0,0 +1,159 @@
+/**
+ * Arabic messages (right-to-left)
+ */
+export const ar = {
+  name: 'العربية',
+  direction: 'rtl',
+  messages: {
+    ui: {
+      start: 'ابدأ',
+      continue: 'تابع القصة',
+      loading: 'جارٍ تحميل المشهد...',
+      when: 'عندما:',
+      then: 'إذن:'
+    },
+    story: {
+      readyForClouds: 'صني مستعدة للغيوم!',
+      cloudsDarken: 'أوه! الغيوم أصبحت داكنة...',
+      rainStopping: 'المطر يتوقف...',
+      timeToGoHome: 'حان وقت العودة إلى البيت يا صني!'
+    },
+    duck: {
+      quack: 'كواك!',
+      cuddles: 'صني تحب العناق!'
+    },
+    pond: {
+      start: 'لنبدأ مغامرة صني!'
+    },
+    clouds: {
+      intro: 'هيا نعدّ الغيوم!',
+      introAscending: 'المس الغيوم بالترتيب، ابدأ بالرقم {number}!',
+      introDescending: 'لنعدّ تنازليًا من {number}!',
+      find: 'ابحث عن الغيمة التي عليها {number}!',
+      lookFor: 'ابحث عن {number}!',
+      done: {
+        zero: 'أحسنت! لم تعدّ أي غيمة',
+        one: 'أحسنت! عددت غيمة واحدة',
+        two: 'أحسنت! عددت غيمتين',
+        few: 'أحسنت! عددت {count} غيوم',
+        many: 'أحسنت! عددت {count} غيمة',
+        other: 'أحسنت! عددت {count} غيمة'
+      }
+    },
+    rain: {
+      cause: 'المطر يسقط من الغيوم',
+      effect: 'البرك تكبر على الأرض',
+      puddles: 'انظر إلى كل هذه البرك!'
+    },
+    rainbow: {
+      intro: 'ساعد صني على التزحلق على قوس قزح!',
+      done: 'ياي! عرفت كل الألوان!'
+    },
+    home: {
+      arriving: 'صني عائدة إلى البيت!',
+      tapSunny: 'المس صني لتسمع صوتها السعيد!',
+      playAgain: 'العب مرة أخرى'
+    },
+    summary: {
+      title: 'النهاية!',
+      floated: 'طارت صني إلى الغيوم',
+      counted: {
+        zero: 'لم تعدّ أي غيمة',
+        one: 'عددت غيمة واحدة',
+        two: 'عددت غيمتين',
+        few: 'عددت {count} غيوم',
+        many: 'عددت {count} غيمة',
+        other: 'عددت {count} غيمة'
+      },
+      puddles: 'صنع المطر بركًا على الأرض',
+      rainbow: {
+        zero: 'لم تتزحلق صني على أي لون',
+        one: 'تزحلقت صني على لون واحد من قوس قزح',
+        two: 'تزحلقت صني على لونين من قوس قزح',
+        few: 'تزحلقت صني على {count} ألوان من قوس قزح',
+        many: 'تزحلقت صني على {count} لونًا من قوس قزح',
+        other: 'تزحلقت صني على {count} لون من قوس قزح'
+      },
+      home: 'صني سعيدة بالعودة إلى البيت!'
+    },
+    number: {
+      1: 'واحد',
+      2: 'اثنان',
+      3: 'ثلاثة',
+      4: 'أربعة',
+      5: 'خمسة',
+      6: 'ستة',
+      7: 'سبعة',
+      8: 'ثمانية',
+      9: 'تسعة',
+      10: 'عشرة'
+    },
+    color: {
+      Red: 'أحمر',
+      Orange: 'برتقالي',
+      Yellow: 'أصفر',
+      Green: 'أخضر',
+      Blue: 'أزرق',
+      Indigo: 'نيلي',
+      Violet: 'بنفسجي'
+    },
+    gate: {
+      title: 'للكبار فقط',
+      question: 'كم يساوي {a} + {b}؟',
+      answer: 'الإجابة',
+      hold: 'اضغط مطولًا على الزر',
+      holdButton: 'اضغط',
+      ok: 'موافق',
+      cancel: 'إلغاء'
+    },
+    settings: {
+      title: 'الإعدادات',
+      volume: 'مستوى الصوت',
+      sounds: 'المؤثرات',
+      music: 'الموسيقى',
+      voice: 'الراوي',
+      mute: 'كتم الصوت',
+      subtitles: 'الترجمة',
+      reducedMotion: 'تقليل الحركة',
+      language: 'اللغة',
+      on: 'تشغيل',
+      off: 'إيقاف',
+      change: 'تغيير',
+      report: 'تقرير التقدم',
+      done: 'تم'
+    },
+    report: {
+      title: 'تقرير التقدم',
+      columns: {
+        activity: 'النشاط',
+        plays: 'مرات اللعب',
+        time: 'الوقت',
+        averageTime: 'متوسط الوقت',
+        duckTaps: 'لمسات صني',
+        cloudTaps: 'لمسات الغيوم',
+        repeats: 'لمسات مكررة',
+        counted: 'الغيوم المعدودة',
+        mistakes: 'أخطاء العد',
+        successRate: 'نجاح العد'
+      },
+      activities: {
+        calmPond: 'البداية عند البركة',
+        clouds: 'عدّ الغيوم',
+        rainShower: 'ملء البرك',
+        rainbowBridge: 'تسمية الألوان'
+      },
+      seconds: '{seconds} ث',
+      percent: '{percent}٪',
+      sessions: {
+        zero: 'لا توجد جلسات مسجلة على هذا الجهاز',
+        one: 'جلسة واحدة مسجلة على هذا الجهاز',
+        two: 'جلستان مسجلتان على هذا الجهاز',
+        few: '{count} جلسات مسجلة على هذا الجهاز',
+        many: '{count} جلسة مسجلة على هذا الجهاز',
+        other: '{count} جلسة مسجلة على هذا الجهاز'
+      },
+      clear: 'مسح السجل',
+      close: 'إغلاق'
+    }
+  }
+};
@@ -0,0 +1,143 @@
+/**
+ * English messages
+ */
+export const en = {
+  name: 'English',
+  direction: 'ltr',
+  messages: {
+    ui: {
+      start: 'START',
+      continue: 'Continue story',
+      loading: 'Loading 3D Scene...',
+      when: 'When:',
+      then: 'Then:'
+    },
+    story: {
+      readyForClouds: 'Sunny is ready for the clouds!',
+      cloudsDarken: 'Oh! The clouds are getting dark...',
+      rainStopping: 'The rain is stopping...',
+      timeToGoHome: 'Time to go home, Sunny!'
+    },
+    duck: {
+      quack: 'Quack!',
+      cuddles: 'Sunny loves cuddles!'
+    },
+    pond: {
+      start: "Let's start Sunny's adventure!"
+    },
+    clouds: {
+      intro: "Let's count the clouds!",
+      introAscending: 'Tap the clouds in order, starting with {number}!',
+      introDescending: "Let's count backwards from {number}!",
+      find: 'Find the cloud with {number}!',
+      lookFor: 'Look for {number}!',
+      done: {
+        one: 'Great job counting {count} cloud!',
+        other: 'Great job counting {count} clouds!'
+      }
+    },
+    rain: {
+      cause: 'Rain falls from the clouds',
+      effect: 'Puddles grow on the ground below',
+      puddles: 'Look at all the puddles!'
+    },
+    rainbow: {
+      intro: 'Help Sunny slide down the rainbow!',
+      done: 'Wheee! You named all the colors!'
+    },
+    home: {
+      arriving: 'Sunny is coming home!',
+      tapSunny: 'Tap Sunny to hear a happy quack!',
+      playAgain: 'Play Again'
+    },
+    summary: {
+      title: 'The End!',
+      floated: 'Sunny floated up into the clouds',
+      counted: {
+        one: 'You counted {count} cloud',
+        other: 'You counted {count} clouds'
+      },
+      puddles: 'The rain made puddles on the ground',
+      rainbow: {
+        one: 'Sunny slid down {count} rainbow color',
+        other: 'Sunny slid down {count} rainbow colors'
+      },
+      home: 'Now Sunny is happy to be home!'
+    },
+    number: {
+      1: 'One',
+      2: 'Two',
+      3: 'Three',
+      4: 'Four',
+      5: 'Five',
+      6: 'Six',
+      7: 'Seven',
+      8: 'Eight',
+      9: 'Nine',
+      10: 'Ten'
+    },
+    color: {
+      Red: 'Red',
+      Orange: 'Orange',
+      Yellow: 'Yellow',
+      Green: 'Green',
+      Blue: 'Blue',
+      Indigo: 'Indigo',
+      Violet: 'Violet'
+    },
+    gate: {
+      title: 'Grown-ups only',
+      question: 'What is {a} + {b}?',
+      answer: 'Answer',
+      hold: 'Press and hold the button',
+      holdButton: 'Hold',
+      ok: 'OK',
+      cancel: 'Cancel'
+    },
+    settings: {
+      title: 'Settings',
+      volume: 'Volume',
+      sounds: 'Sounds',
+      music: 'Music',
+      voice: 'Voice',
+      mute: 'Mute',
+      subtitles: 'Subtitles',
+      reducedMotion: 'Reduced motion',
+      language: 'Language',
+      on: 'On',
+      off: 'Off',
+      change: 'Change',
+      report: 'Progress report',
+      done: 'Done'
+    },
+    report: {
+      title: 'Progress report',
+      columns: {
+        activity: 'Activity',
+        plays: 'Plays',
+        time: 'Time',
+        averageTime: 'Average time',
+        duckTaps: 'Taps on Sunny',
+        cloudTaps: 'Taps on clouds',
+        repeats: 'Repeated taps',
+        counted: 'Clouds counted',
+        mistakes: 'Counting mistakes',
+        successRate: 'Counting success'
+      },
+      activities: {
+        calmPond: 'Starting at the pond',
+        clouds: 'Counting clouds',
+        rainShower: 'Filling puddles',
+        rainbowBridge: 'Naming colors'
+      },
+      seconds: '{seconds} s',
+      percent: '{percent}%',
+      sessions: {
+        one: '{count} session recorded on this device',
+        other: '{count} sessions recorded on this device'
+      },
+      clear: 'Clear history',
+      close: 'Close'
+    }
+  }
+};
@@ -0,0 +1,143 @@
+/**
+ * Spanish messages
+ */
+export const es = {
+  name: 'Español',
+  direction: 'ltr',
+  messages: {
+    ui: {
+      start: 'EMPEZAR',
+      continue: 'Continuar la historia',
+      loading: 'Cargando la escena 3D...',
+      when: 'Cuando:',
+      then: 'Entonces:'
+    },
+    story: {
+      readyForClouds: '¡Sunny está lista para las nubes!',
+      cloudsDarken: '¡Oh! Las nubes se están oscureciendo...',
+      rainStopping: 'La lluvia está parando...',
+      timeToGoHome: '¡Hora de volver a casa, Sunny!'
+    },
+    duck: {
+      quack: '¡Cuac!',
+      cuddles: '¡A Sunny le encantan los mimos!'
+    },
+    pond: {
+      start: '¡Empecemos la aventura de Sunny!'
+    },
+    clouds: {
+      intro: '¡Vamos a contar las nubes!',
+      introAscending: '¡Toca las nubes en orden, empezando por el {number}!',
+      introDescending: '¡Contemos hacia atrás desde el {number}!',
+      find: '¡Encuentra la nube con el {number}!',
+      lookFor: '¡Busca el {number}!',
+      done: {
+        one: '¡Muy bien, contaste {count} nube!',
+        other: '¡Muy bien, contaste {count} nubes!'
+      }
+    },
+    rain: {
+      cause: 'La lluvia cae de las nubes',
+      effect: 'Los charcos crecen en el suelo',
+      puddles: '¡Mira cuántos charcos!'
+    },
+    rainbow: {
+      intro: '¡Ayuda a Sunny a deslizarse por el arcoíris!',
+      done: '¡Yupi! ¡Nombraste todos los colores!'
+    },
+    home: {
+      arriving: '¡Sunny vuelve a casa!',
+      tapSunny: '¡Toca a Sunny para oír un cuac feliz!',
+      playAgain: 'Jugar otra vez'
+    },
+    summary: {
+      title: '¡Fin!',
+      floated: 'Sunny subió flotando hasta las nubes',
+      counted: {
+        one: 'Contaste {count} nube',
+        other: 'Contaste {count} nubes'
+      },
+      puddles: 'La lluvia hizo charcos en el suelo',
+      rainbow: {
+        one: 'Sunny se deslizó por {count} color del arcoíris',
+        other: 'Sunny se deslizó por {count} colores del arcoíris'
+      },
+      home: '¡Ahora Sunny está feliz en casa!'
+    },
+    number: {
+      1: 'Uno',
+      2: 'Dos',
+      3: 'Tres',
+      4: 'Cuatro',
+      5: 'Cinco',
+      6: 'Seis',
+      7: 'Siete',
+      8: 'Ocho',
+      9: 'Nueve',
+      10: 'Diez'
+    },
+    color: {
+      Red: 'Rojo',
+      Orange: 'Naranja',
+      Yellow: 'Amarillo',
+      Green: 'Verde',
+      Blue: 'Azul',
+      Indigo: 'Añil',
+      Violet: 'Violeta'
+    },
+    gate: {
+      title: 'Solo para adultos',
+      question: '¿Cuánto es {a} + {b}?',
+      answer: 'Respuesta',
+      hold: 'Mantén pulsado el botón',
+      holdButton: 'Mantener',
+      ok: 'Aceptar',
+      cancel: 'Cancelar'
+    },
+    settings: {
+      title: 'Ajustes',
+      volume: 'Volumen',
+      sounds: 'Sonidos',
+      music: 'Música',
+      voice: 'Voz',
+      mute: 'Silencio',
+      subtitles: 'Subtítulos',
+      reducedMotion: 'Menos movimiento',
+      language: 'Idioma',
+      on: 'Sí',
+      off: 'No',
+      change: 'Cambiar',
+      report: 'Informe de progreso',
+      done: 'Listo'
+    },
+    report: {
+      title: 'Informe de progreso',
+      columns: {
+        activity: 'Actividad',
+        plays: 'Veces',
+        time: 'Tiempo',
+        averageTime: 'Tiempo medio',
+        duckTaps: 'Toques a Sunny',
+        cloudTaps: 'Toques a nubes',
+        repeats: 'Toques repetidos',
+        counted: 'Nubes contadas',
+        mistakes: 'Errores al contar',
+        successRate: 'Aciertos al contar'
+      },
+      activities: {
+        calmPond: 'Empezar en el estanque',
+        clouds: 'Contar nubes',
+        rainShower: 'Llenar charcos',
+        rainbowBridge: 'Nombrar colores'
+      },
+      seconds: '{seconds} s',
+      percent: '{percent} %',
+      sessions: {
+        one: '{count} sesión guardada en este dispositivo',
+        other: '{count} sesiones guardadas en este dispositivo'
+      },
+      clear: 'Borrar historial',
+      close: 'Cerrar'
+    }
+  }
+};
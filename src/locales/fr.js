@@ -0,0 +1,143 @@
+/**
+ * French messages
+ */
+export const fr = {
+  name: 'Français',
+  direction: 'ltr',
+  messages: {
+    ui: {
+      start: 'COMMENCER',
+      continue: "Continuer l'histoire",
+      loading: 'Chargement de la scène 3D...',
+      when: 'Quand :',
+      then: 'Alors :'
+    },
+    story: {
+      readyForClouds: 'Sunny est prête pour les nuages !',
+      cloudsDarken: 'Oh ! Les nuages deviennent sombres...',
+      rainStopping: "La pluie s'arrête...",
+      timeToGoHome: 'Il est temps de rentrer, Sunny !'
+    },
+    duck: {
+      quack: 'Coin-coin !',
+      cuddles: 'Sunny adore les câlins !'
+    },
+    pond: {
+      start: "Commençons l'aventure de Sunny !"
+    },
+    clouds: {
+      intro: 'Comptons les nuages !',
+      introAscending: "Touche les nuages dans l'ordre, en commençant par {number} !",
+      introDescending: 'Comptons à rebours depuis {number} !',
+      find: 'Trouve le nuage avec le {number} !',
+      lookFor: 'Cherche le {number} !',
+      done: {
+        one: 'Bravo, tu as compté {count} nuage !',
+        other: 'Bravo, tu as compté {count} nuages !'
+      }
+    },
+    rain: {
+      cause: 'La pluie tombe des nuages',
+      effect: 'Les flaques grandissent par terre',
+      puddles: 'Regarde toutes ces flaques !'
+    },
+    rainbow: {
+      intro: "Aide Sunny à glisser sur l'arc-en-ciel !",
+      done: 'Youpi ! Tu as nommé toutes les couleurs !'
+    },
+    home: {
+      arriving: 'Sunny rentre à la maison !',
+      tapSunny: 'Touche Sunny pour entendre un joyeux coin-coin !',
+      playAgain: 'Rejouer'
+    },
+    summary: {
+      title: 'Fin !',
+      floated: "Sunny s'est envolée jusqu'aux nuages",
+      counted: {
+        one: 'Tu as compté {count} nuage',
+        other: 'Tu as compté {count} nuages'
+      },
+      puddles: 'La pluie a fait des flaques par terre',
+      rainbow: {
+        one: "Sunny a glissé sur {count} couleur de l'arc-en-ciel",
+        other: "Sunny a glissé sur {count} couleurs de l'arc-en-ciel"
+      },
+      home: 'Sunny est heureuse d’être rentrée !'
+    },
+    number: {
+      1: 'Un',
+      2: 'Deux',
+      3: 'Trois',
+      4: 'Quatre',
+      5: 'Cinq',
+      6: 'Six',
+      7: 'Sept',
+      8: 'Huit',
+      9: 'Neuf',
+      10: 'Dix'
+    },
+    color: {
+      Red: 'Rouge',
+      Orange: 'Orange',
+      Yellow: 'Jaune',
+      Green: 'Vert',
+      Blue: 'Bleu',
+      Indigo: 'Indigo',
+      Violet: 'Violet'
+    },
+    gate: {
+      title: 'Réservé aux adultes',
+      question: 'Combien font {a} + {b} ?',
+      answer: 'Réponse',
+      hold: 'Appuie longuement sur le bouton',
+      holdButton: 'Maintenir',
+      ok: 'OK',
+      cancel: 'Annuler'
+    },
+    settings: {
+      title: 'Réglages',
+      volume: 'Volume',
+      sounds: 'Sons',
+      music: 'Musique',
+      voice: 'Voix',
+      mute: 'Muet',
+      subtitles: 'Sous-titres',
+      reducedMotion: 'Moins d’animations',
+      language: 'Langue',
+      on: 'Oui',
+      off: 'Non',
+      change: 'Changer',
+      report: 'Suivi des progrès',
+      done: 'Terminé'
+    },
+    report: {
+      title: 'Suivi des progrès',
+      columns: {
+        activity: 'Activité',
+        plays: 'Parties',
+        time: 'Temps',
+        averageTime: 'Temps moyen',
+        duckTaps: 'Touches sur Sunny',
+        cloudTaps: 'Touches sur les nuages',
+        repeats: 'Touches répétées',
+        counted: 'Nuages comptés',
+        mistakes: 'Erreurs de comptage',
+        successRate: 'Réussite au comptage'
+      },
+      activities: {
+        calmPond: "Départ à l'étang",
+        clouds: 'Compter les nuages',
+        rainShower: 'Remplir les flaques',
+        rainbowBridge: 'Nommer les couleurs'
+      },
+      seconds: '{seconds} s',
+      percent: '{percent} %',
+      sessions: {
+        one: '{count} session enregistrée sur cet appareil',
+        other: '{count} sessions enregistrées sur cet appareil'
+      },
+      clear: "Effacer l'historique",
+      close: 'Fermer'
+    }
+  }
+};
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import eventBus, { EventBus } from '../utils/EventBus.js';
 
 /**
  * Cloud class representing a single cloud in the cloud system
@@ -16,7 +17,8 @@ export class Cloud extends THREE.Mesh {
       opacity: 0.8,
       interactive: true,
       countable: false,
-      cloudNumber: null
+      cloudNumber: null,
+      interactionScope: null // Scene the cloud belongs to, see InteractionSystem.register()
     };
 
     const settings = { ...defaultOptions, ...options };
@@ -45,6 +47,19 @@ export class Cloud extends THREE.Mesh {
     this.isCounted = false;
     this.isCountable = settings.countable;
     this.cloudNumber = settings.cloudNumber;
+    this.interactionScope = settings.interactionScope;
+
+    // Decides whether the cloud may be counted now (e.g. counting in order), set by CloudSystem
+    this.countCheck = null;
+
+    // Number shown above the cloud
+    this.label = null;
+
+    // Hint pulse: seconds left and the scale factor currently applied
+    this.pulse = { timeLeft: 0, time: 0, factor: 1 };
+
+    // Drift added by swiping the cloud, fades out over time
+    this.pushVelocity = new THREE.Vector3();
 
     // Apply size
     const scale = 3 * settings.size;
@@ -66,8 +81,11 @@ export class Cloud extends THREE.Mesh {
     // Register with interaction system
     this.game.interactionSystem.register(this, {
       onClick: this.onTap.bind(this),
+      onSwipe: this.onSwipe.bind(this),
       onHoverStart: this.onHoverStart.bind(this),
       onHoverEnd: this.onHoverEnd.bind(this)
+    }, {
+      scope: this.interactionScope
     });
   }
 
@@ -77,16 +95,27 @@ export class Cloud extends THREE.Mesh {
   onTap() {
     console.log('Cloud tapped!');
 
+    eventBus.emit(EventBus.EVENTS.CLOUD_TAPPED, {
+      cloud: this,
+      number: this.cloudNumber,
+      counted: this.isCounted
+    });
+
+    this.stopPulse();
+
     // Change cloud shape
     this.morphShape();
 
     // Play sound effect
     if (this.game.audioManager) {
-      this.game.audioManager.playSound('cloudPop', { volume: 0.5 });
+      this.game.audioManager.playSound('cloudPop', { volume: 0.5, position: this });
     }
 
     // If countable and not counted yet, trigger count event
     if (this.isCountable && this.cloudNumber !== null && !this.isCounted) {
+      // Not this one yet (e.g. counting in order)
+      if (this.countCheck && !this.countCheck(this)) return;
+
       this.isCounted = true;
 
       // Highlight cloud
@@ -94,7 +123,7 @@ export class Cloud extends THREE.Mesh {
 
       // Show number
       if (this.game.uiSystem) {
-        this.game.uiSystem.showNumber(this.cloudNumber, {
+        this.game.uiSystem.showNumber(this.game.i18n.formatNumber(this.cloudNumber), {
           size: 'large',
           position: 'center',
           duration: 1500,
@@ -102,22 +131,40 @@ export class Cloud extends THREE.Mesh {
         });
       }
 
-      // Play number sound
-      if (this.game.audioManager) {
-        this.game.audioManager.playNarration(`number${this.cloudNumber}`);
+      // Say the number
+      if (this.game.narrationQueue) {
+        this.game.narrationQueue.enqueue(`number${this.cloudNumber}`, {
+          text: this.game.i18n.t(`number.${this.cloudNumber}`)
+        });
       }
 
-      // Dispatch custom event
-      const event = new CustomEvent('cloudCounted', {
-        detail: {
-          cloud: this,
-          number: this.cloudNumber
-        }
+      eventBus.emit(EventBus.EVENTS.CLOUD_COUNTED, {
+        cloud: this,
+        number: this.cloudNumber
       });
-      window.dispatchEvent(event);
     }
   }
 
+  /**
+   * Handle swipe interaction - blow the cloud in the swipe direction
+   * @param {Object} gesture - Swipe gesture (see GestureRecognizer)
+   */
+  onSwipe(gesture) {
+    const camera = this.game.camera;
+
+    // Convert the screen direction to the camera's right and up axes
+    const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+    const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+
+    const direction = right.multiplyScalar(gesture.velocityX)
+      .addScaledVector(up, -gesture.velocityY)
+      .normalize();
+
+    // Faster swipes push harder
+    const strength = Math.min(gesture.velocity, 3) * 10;
+    this.pushVelocity.copy(direction).multiplyScalar(strength);
+  }
+
   /**
    * Handle hover start
    */
@@ -127,7 +174,8 @@ export class Cloud extends THREE.Mesh {
       this.material.emissive.set(0x333333);
       this.material.emissiveIntensity = 0.5;
 
-      // Scale up slightly
+      // Scale up slightly, from the size without the hint pulse
+      this.setPulseFactor(1);
       this.userData.originalScale = this.scale.clone();
       this.scale.multiplyScalar(1.05);
     }
@@ -144,6 +192,7 @@ export class Cloud extends THREE.Mesh {
 
       // Restore original scale
       if (this.userData.originalScale) {
+        this.setPulseFactor(1);
         this.scale.copy(this.userData.originalScale);
       }
     }
@@ -182,7 +231,8 @@ export class Cloud extends THREE.Mesh {
     this.material.emissive.set(0x3366ff);
     this.material.emissiveIntensity = 0.5;
 
-    // Scale up
+    // Scale up, from the size without the hint pulse
+    this.setPulseFactor(1);
     this.userData.originalScale = this.scale.clone();
     this.scale.multiplyScalar(1.2);
 
@@ -213,6 +263,7 @@ export class Cloud extends THREE.Mesh {
 
     // Restore original scale
     if (this.userData.originalScale) {
+      this.setPulseFactor(1);
       this.scale.copy(this.userData.originalScale);
     }
 
@@ -225,15 +276,140 @@ export class Cloud extends THREE.Mesh {
     }
   }
 
+  /**
+   * Show a number above the cloud
+   * @param {string} text - Number text
+   */
+  showLabel(text) {
+    this.hideLabel();
+
+    const material = new THREE.SpriteMaterial({
+      map: createLabelTexture(text),
+      depthTest: false
+    });
+
+    this.label = new THREE.Sprite(material);
+    this.label.position.set(0, 1.2, 0);
+
+    // Undo the cloud's flattened scale so the label stays round
+    this.label.scale.set(0.8, 0.8 / 0.7, 0.8);
+    this.label.renderOrder = 1;
+    this.add(this.label);
+  }
+
+  /**
+   * Remove the number shown above the cloud
+   */
+  hideLabel() {
+    if (!this.label) return;
+
+    this.remove(this.label);
+    this.label.material.map.dispose();
+    this.label.material.dispose();
+    this.label = null;
+  }
+
+  /**
+   * Pulse the cloud to draw attention to it (e.g. as a hint)
+   * @param {number} duration - Seconds to pulse for
+   */
+  startPulse(duration = 2.0) {
+    this.pulse.timeLeft = duration;
+    this.pulse.time = 0;
+  }
+
+  /**
+   * Stop pulsing, restoring the cloud's size and glow
+   */
+  stopPulse() {
+    this.pulse.timeLeft = 0;
+    this.setPulseFactor(1);
+
+    if (!this.glowMesh) {
+      this.material.emissive.set(0x000000);
+      this.material.emissiveIntensity = 0;
+    }
+  }
+
+  /**
+   * Scale the cloud by a pulse factor, replacing the previous one.
+   * The factor is reset before the scale is saved or restored (hover, highlight), so it is never counted twice.
+   * @param {number} factor - Scale factor
+   */
+  setPulseFactor(factor) {
+    this.scale.multiplyScalar(factor / this.pulse.factor);
+    this.pulse.factor = factor;
+  }
+
+  /**
+   * Update the hint pulse
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  updatePulse(deltaTime) {
+    if (this.pulse.timeLeft <= 0) return;
+
+    this.pulse.timeLeft -= deltaTime;
+    if (this.pulse.timeLeft <= 0) {
+      this.stopPulse();
+      return;
+    }
+
+    this.pulse.time += deltaTime;
+    const wave = (Math.sin(this.pulse.time * Math.PI * 2) + 1) / 2;
+
+    // Glow without growing for players sensitive to motion
+    if (!this.game.settings || !this.game.settings.get('reducedMotion')) {
+      this.setPulseFactor(1 + wave * 0.15);
+    }
+
+    this.material.emissive.set(0x3366ff);
+    this.material.emissiveIntensity = wave * 0.6;
+  }
+
   /**
    * Update the cloud
    * @param {number} deltaTime - Time since last update in seconds
    */
   update(deltaTime) {
-    // Any continuous updates needed
+    // Drift after being swiped
+    if (this.pushVelocity.lengthSq() > 0.0001) {
+      this.position.addScaledVector(this.pushVelocity, deltaTime);
+      this.pushVelocity.multiplyScalar(Math.max(0, 1 - deltaTime * 1.5));
+    }
+
+    this.updatePulse(deltaTime);
   }
 }
 
+/**
+ * Draw a number label for a cloud
+ * @param {string} text - Number text
+ * @returns {THREE.CanvasTexture} - Label texture
+ */
+function createLabelTexture(text) {
+  const size = 128;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = 'rgba(255, 255, 255, 0.95)';
+  context.strokeStyle = '#1976D2';
+  context.lineWidth = 8;
+  context.beginPath();
+  context.arc(size / 2, size / 2, size / 2 - 6, 0, Math.PI * 2);
+  context.fill();
+  context.stroke();
+
+  context.fillStyle = '#1976D2';
+  context.font = 'bold 64px Arial, sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(text, size / 2, size / 2 + 4);
+
+  return new THREE.CanvasTexture(canvas);
+}
+
 /**
  * CloudSystem class representing a system of clouds
  */
@@ -258,11 +434,25 @@ export class CloudSystem extends THREE.Group {
       interactive: true,
       countingEnabled: false,
       countingCloudCount: 5,
-      windSpeed: { x: 0, y: 0, z: 7 }
+      windSpeed: { x: 0, y: 0, z: 7 },
+      interactionScope: null,
+      hintDelay: 8, // Seconds without progress before the next cloud pulses
+      hintWeight: 0.5, // How much a hint lowers the success rate, compared to a mistake
+      levelUpRate: 0.8, // Success rate that moves the child up a counting level
+      levelDownRate: 0.5 // Success rate below which they move down a level
     };
 
     this.options = { ...defaultOptions, ...options };
 
+    // Counting game being played: { mode, level, order, correct, mistakes, hints, idleTime, completed }.
+    // idleTime stays null, and no hints are given, until the round can be played (see startHintTimer())
+    this.counting = null;
+
+    // Bound event handlers
+    this.onCloudCounted = this.onCloudCounted.bind(this);
+    this.onCloudTapped = this.onCloudTapped.bind(this);
+    this.canCount = this.canCount.bind(this);
+
     // Create clouds
     this.createClouds(count);
   }
@@ -277,7 +467,8 @@ export class CloudSystem extends THREE.Group {
       const cloud = new Cloud(this.game, {
         size: 1 + Math.random(),
         opacity: 0.7 + Math.random() * 0.3,
-        interactive: this.options.interactive
+        interactive: this.options.interactive,
+        interactionScope: this.options.interactionScope
       });
 
       // Random position within a cylinder
@@ -297,11 +488,28 @@ export class CloudSystem extends THREE.Group {
     }
   }
 
+  /**
+   * Set up the counting game for a difficulty level (see CloudSystem.COUNTING_LEVELS)
+   * @param {number} level - Difficulty level
+   * @returns {Array<Cloud>} - The counting clouds
+   */
+  setupCountingLevel(level = 0) {
+    const levels = CloudSystem.COUNTING_LEVELS;
+    const index = Math.max(0, Math.min(levels.length - 1, level));
+
+    const clouds = this.setupCountingGame(levels[index].count, levels[index].mode);
+    this.counting.level = index;
+
+    return clouds;
+  }
+
   /**
    * Setup counting game
    * @param {number} cloudCount - Number of clouds to count
+   * @param {string} mode - How the clouds are counted (see CloudSystem.COUNTING_MODES)
+   * @returns {Array<Cloud>} - The counting clouds
    */
-  setupCountingGame(cloudCount = 5) {
+  setupCountingGame(cloudCount = 5, mode = CloudSystem.COUNTING_MODES.FREE) {
     // Use specified count or default
     const count = cloudCount || this.options.countingCloudCount;
 
@@ -310,7 +518,15 @@ export class CloudSystem extends THREE.Group {
       cloud.isCountable = false;
       cloud.cloudNumber = null;
       cloud.isCounted = false;
+      cloud.countCheck = null;
       cloud.unhighlight();
+      cloud.stopPulse();
+      cloud.hideLabel();
+
+      if (cloud.userData.countingScale) {
+        cloud.scale.copy(cloud.userData.countingScale);
+      }
+      cloud.material.color.set(0xffffff);
     });
 
     this.countingClouds = [];
@@ -321,62 +537,252 @@ export class CloudSystem extends THREE.Group {
       .sort(() => Math.random() - 0.5)
       .slice(0, count);
 
+    // Numbers are shown on the clouds when they have to be found
+    const showNumbers = mode !== CloudSystem.COUNTING_MODES.FREE;
+
     // Assign numbers to selected clouds
     selectedClouds.forEach((cloud, index) => {
       cloud.isCountable = true;
       cloud.cloudNumber = index + 1;
       cloud.isCounted = false;
+      cloud.countCheck = this.canCount;
 
       // Make counting clouds more prominent
+      cloud.userData.countingScale = cloud.scale.clone();
       cloud.scale.multiplyScalar(1.5);
       cloud.material.color.set(0xf0f0ff);
 
+      if (showNumbers) {
+        cloud.showLabel(this.game.i18n.formatNumber(cloud.cloudNumber));
+      }
+
       this.countingClouds.push(cloud);
     });
 
-    // Listen for cloud counted events
-    window.addEventListener('cloudCounted', this.onCloudCounted.bind(this));
+    // Numbers in the order they must be counted, empty when any order will do
+    const numbers = this.countingClouds.map(cloud => cloud.cloudNumber);
+    const orders = {
+      [CloudSystem.COUNTING_MODES.FREE]: [],
+      [CloudSystem.COUNTING_MODES.ASCENDING]: numbers,
+      [CloudSystem.COUNTING_MODES.DESCENDING]: numbers.slice().reverse(),
+      [CloudSystem.COUNTING_MODES.FIND]: numbers.slice().sort(() => Math.random() - 0.5)
+    };
+
+    this.counting = {
+      mode,
+      level: null,
+      order: orders[mode] || [],
+      correct: 0,
+      mistakes: 0,
+      hints: 0,
+      idleTime: null,
+      completed: false
+    };
+
+    // Listen for cloud events, once however often the game is set up.
+    // The listeners belong to the scene and are removed when the scene is exited.
+    eventBus.off(EventBus.EVENTS.CLOUD_COUNTED, this.onCloudCounted);
+    eventBus.on(EventBus.EVENTS.CLOUD_COUNTED, this.onCloudCounted, { scope: this.options.interactionScope });
+    eventBus.off(EventBus.EVENTS.CLOUD_TAPPED, this.onCloudTapped);
+    eventBus.on(EventBus.EVENTS.CLOUD_TAPPED, this.onCloudTapped, { scope: this.options.interactionScope });
 
     // Return the counting clouds
     return this.countingClouds;
   }
 
+  /**
+   * Get the number that has to be counted next
+   * @returns {number|null} - Cloud number, or null if any cloud can be counted
+   */
+  getExpectedNumber() {
+    if (!this.counting || this.counting.order.length === 0) return null;
+    return this.counting.order[this.counting.correct] ?? null;
+  }
+
+  /**
+   * Get the instructions for the counting game, to show and say when it starts
+   * @returns {string} - Translated instructions
+   */
+  getCountingIntro() {
+    const i18n = this.game.i18n;
+    const modes = CloudSystem.COUNTING_MODES;
+
+    switch (this.counting && this.counting.mode) {
+      case modes.ASCENDING:
+        return i18n.t('clouds.introAscending', { number: this.getExpectedNumber() });
+      case modes.DESCENDING:
+        return i18n.t('clouds.introDescending', { number: this.getExpectedNumber() });
+      case modes.FIND:
+        return i18n.t('clouds.find', { number: this.getExpectedNumber() });
+      default:
+        return i18n.t('clouds.intro');
+    }
+  }
+
+  /**
+   * Decide whether a tapped cloud can be counted now, nudging the child towards the right one if not
+   * @param {Cloud} cloud - Tapped countable cloud
+   * @returns {boolean} - True if the cloud should be counted
+   */
+  canCount(cloud) {
+    const expected = this.getExpectedNumber();
+    if (expected === null || cloud.cloudNumber === expected) return true;
+
+    this.counting.mistakes++;
+    this.counting.idleTime = 0;
+
+    // In find mode the hint repeats the prompt instead
+    if (this.counting.mode !== CloudSystem.COUNTING_MODES.FIND && this.game.uiSystem) {
+      this.game.uiSystem.showFeedback(this.game.i18n.t('clouds.lookFor', { number: expected }), 'info', {
+        duration: 2000,
+        animation: 'fade'
+      });
+    }
+
+    this.showHint();
+    return false;
+  }
+
+  /**
+   * Pulse the cloud to count next, and repeat what to look for
+   */
+  showHint() {
+    const expected = this.getExpectedNumber();
+    const cloud = this.countingClouds.find(cloud => {
+      return !cloud.isCounted && (expected === null || cloud.cloudNumber === expected);
+    });
+
+    if (!cloud) return;
+
+    cloud.startPulse(2.0);
+
+    if (this.counting.mode === CloudSystem.COUNTING_MODES.FIND) {
+      this.promptFind();
+    }
+  }
+
+  /**
+   * Ask the child to find the next number
+   */
+  promptFind() {
+    const number = this.getExpectedNumber();
+    if (number === null) return;
+
+    const text = this.game.i18n.t('clouds.find', { number });
+
+    if (this.game.uiSystem) {
+      this.game.uiSystem.showFeedback(text, 'info', {
+        duration: 2500,
+        animation: 'fade'
+      });
+    }
+
+    // A newer prompt replaces one still waiting
+    if (this.game.narrationQueue) {
+      this.game.narrationQueue.enqueue(`find${number}`, {
+        text,
+        group: 'countingPrompt'
+      });
+    }
+  }
+
+  /**
+   * Start timing how long the child goes without progress, so hints are given when they seem stuck.
+   * Call it once the round can be played; tapping a numbered cloud starts it too.
+   */
+  startHintTimer() {
+    if (!this.counting || this.counting.idleTime !== null) return;
+
+    this.counting.idleTime = 0;
+  }
+
+  /**
+   * Work out the next difficulty level from how the round went
+   * @param {number} successRate - Clouds counted over clouds counted, mistakes and weighted hints (0 to 1)
+   * @returns {number} - Next level
+   */
+  getNextLevel(successRate) {
+    const level = this.counting.level ?? 0;
+
+    if (successRate >= this.options.levelUpRate) {
+      return Math.min(level + 1, CloudSystem.COUNTING_LEVELS.length - 1);
+    }
+
+    if (successRate < this.options.levelDownRate) {
+      return Math.max(level - 1, 0);
+    }
+
+    return level;
+  }
+
+  /**
+   * Handle cloud tapped event: tapping a cloud that was already counted is a mistake,
+   * so rounds in any order are measured too
+   * @param {Object} detail - Event detail ({ cloud, number, counted })
+   */
+  onCloudTapped(detail) {
+    const { cloud, counted } = detail;
+
+    if (!this.counting || this.counting.completed || !counted) return;
+    if (!this.countingClouds.includes(cloud)) return;
+
+    this.counting.mistakes++;
+  }
+
   /**
    * Handle cloud counted event
-   * @param {CustomEvent} event - Cloud counted event
+   * @param {Object} detail - Event detail ({ cloud, number })
    */
-  onCloudCounted(event) {
-    const { cloud, number } = event.detail;
+  onCloudCounted(detail) {
+    const { cloud, number } = detail;
+
+    // Clouds of other cloud systems
+    if (!this.countingClouds.includes(cloud)) return;
 
     console.log(`Cloud counted: ${number}`);
 
+    this.counting.correct++;
+    this.counting.idleTime = 0;
+
     // Check if all clouds have been counted
     const allCounted = this.countingClouds.every(cloud => cloud.isCounted);
 
-    if (allCounted) {
-      console.log('All clouds counted!');
-
-      // Show completion message
-      if (this.game.uiSystem) {
-        this.game.uiSystem.showFeedback('Great job counting!', 'success', {
-          duration: 3000,
-          animation: 'pop'
-        });
+    if (!allCounted) {
+      if (this.counting.mode === CloudSystem.COUNTING_MODES.FIND) {
+        this.promptFind();
       }
+      return;
+    }
 
-      // Play completion sound
-      if (this.game.audioManager) {
-        this.game.audioManager.playSound('success');
-      }
+    console.log('All clouds counted!');
+    this.counting.completed = true;
 
-      // Dispatch completion event
-      const completionEvent = new CustomEvent('countingCompleted', {
-        detail: {
-          count: this.countingClouds.length
-        }
+    // Show completion message
+    if (this.game.uiSystem) {
+      this.game.uiSystem.showFeedback(this.game.i18n.t('clouds.done', { count: this.countingClouds.length }), 'success', {
+        duration: 3000,
+        animation: 'pop'
       });
-      window.dispatchEvent(completionEvent);
     }
+
+    // Play completion sound
+    if (this.game.audioManager) {
+      this.game.audioManager.playSound('success');
+    }
+
+    const { correct, mistakes, hints, mode, level } = this.counting;
+    const successRate = correct / (correct + mistakes + hints * this.options.hintWeight);
+
+    // Dispatch completion event
+    eventBus.emit(EventBus.EVENTS.COUNTING_COMPLETED, {
+      count: this.countingClouds.length,
+      mode,
+      level,
+      mistakes,
+      hints,
+      successRate,
+      nextLevel: level === null ? null : this.getNextLevel(successRate)
+    });
   }
 
   /**
@@ -386,6 +792,17 @@ export class CloudSystem extends THREE.Group {
   update(deltaTime) {
     const windSpeed = this.options.windSpeed;
 
+    // Give a hint when the child seems stuck
+    if (this.counting && !this.counting.completed && this.counting.idleTime !== null) {
+      this.counting.idleTime += deltaTime;
+
+      if (this.counting.idleTime >= this.options.hintDelay) {
+        this.counting.idleTime = 0;
+        this.counting.hints++;
+        this.showHint();
+      }
+    }
+
     // Update each cloud
     this.clouds.forEach(cloud => {
       // Move cloud with wind
@@ -413,3 +830,30 @@ export class CloudSystem extends THREE.Group {
     });
   }
 }
+
+/**
+ * Ways of playing the counting game
+ */
+CloudSystem.COUNTING_MODES = {
+  FREE: 'free', // Any order; each cloud says its number
+  ASCENDING: 'ascending', // Tap the numbered clouds from 1 up
+  DESCENDING: 'descending', // Tap the numbered clouds from the highest down to 1
+  FIND: 'find' // Find the cloud with the number asked for
+};
+
+/**
+ * Counting game difficulty levels, easiest first.
+ * CloudSystem moves between them with the child's success rate (see getNextLevel()).
+ */
+CloudSystem.COUNTING_LEVELS = [
+  { mode: CloudSystem.COUNTING_MODES.FREE, count: 5 },
+  { mode: CloudSystem.COUNTING_MODES.ASCENDING, count: 5 },
+  { mode: CloudSystem.COUNTING_MODES.FIND, count: 5 },
+  { mode: CloudSystem.COUNTING_MODES.DESCENDING, count: 5 },
+  { mode: CloudSystem.COUNTING_MODES.ASCENDING, count: 7 },
+  { mode: CloudSystem.COUNTING_MODES.FIND, count: 7 },
+  { mode: CloudSystem.COUNTING_MODES.DESCENDING, count: 7 },
+  { mode: CloudSystem.COUNTING_MODES.ASCENDING, count: 10 },
+  { mode: CloudSystem.COUNTING_MODES.FIND, count: 10 },
+  { mode: CloudSystem.COUNTING_MODES.DESCENDING, count: 10 }
+];
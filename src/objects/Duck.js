@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import eventBus, { EventBus } from '../utils/EventBus.js';
 
 /**
  * Duck class representing the rubber duck character
@@ -8,10 +9,19 @@ export class Duck extends THREE.Group {
   /**
    * Create a new Duck instance
    * @param {Game} game - Reference to the main game instance
+   * @param {Object} options - Duck options
    */
-  constructor(game) {
+  constructor(game, options = {}) {
     super();
     this.game = game;
+
+    // Default options
+    const defaultOptions = {
+      interactionScope: null // Scene the duck belongs to, see InteractionSystem.register()
+    };
+
+    this.options = { ...defaultOptions, ...options };
+
     this.model = null;
     this.isLoaded = false;
     this.isInteractive = true;
@@ -32,6 +42,9 @@ export class Duck extends THREE.Group {
     // Interaction properties
     this.lastInteractionTime = 0;
     this.interactionCooldown = 1.0; // seconds
+
+    // Maps a dragged position to where the duck may go, or null if not draggable
+    this.dragConstraint = null;
   }
 
   /**
@@ -167,11 +180,15 @@ export class Duck extends THREE.Group {
     // Register with interaction system
     this.game.interactionSystem.register(this, {
       onClick: this.onTap.bind(this),
+      onLongPress: this.onLongPress.bind(this),
       onHoverStart: this.onHoverStart.bind(this),
       onHoverEnd: this.onHoverEnd.bind(this),
       onDragStart: this.onDragStart.bind(this),
       onDrag: this.onDrag.bind(this),
-      onDragEnd: this.onDragEnd.bind(this)
+      onDragEnd: this.onDragEnd.bind(this),
+      canDrag: () => this.dragConstraint !== null
+    }, {
+      scope: this.options.interactionScope
     });
   }
 
@@ -191,7 +208,7 @@ export class Duck extends THREE.Group {
 
     // Play quack sound
     if (this.game.audioManager) {
-      this.game.audioManager.playSound('quack');
+      this.game.audioManager.playSound('quack', { position: this });
     }
 
     // Play animation
@@ -199,11 +216,31 @@ export class Duck extends THREE.Group {
 
     // Show feedback
     if (this.game.uiSystem) {
-      this.game.uiSystem.showFeedback('Quack!', 'info', {
+      this.game.uiSystem.showFeedback(this.game.i18n.t('duck.quack'), 'info', {
         duration: 1000,
         animation: 'pop'
       });
     }
+
+    eventBus.emit(EventBus.EVENTS.DUCK_QUACKED, {
+      duck: this
+    });
+  }
+
+  /**
+   * Handle long press - give Sunny a cuddle
+   */
+  onLongPress() {
+    console.log('Duck cuddled!');
+
+    this.playQuackAnimation();
+
+    if (this.game.uiSystem) {
+      this.game.uiSystem.showFeedback(this.game.i18n.t('duck.cuddles'), 'success', {
+        duration: 1500,
+        animation: 'pop'
+      });
+    }
   }
 
   /**
@@ -252,8 +289,10 @@ export class Duck extends THREE.Group {
    * @param {THREE.Vector3} startPosition - Start position
    */
   onDrag(newPosition, startPosition) {
-    // Only implement in scenes where duck should be draggable
-    // Default implementation does nothing
+    // Only scenes where the duck should be draggable set a drag constraint
+    if (!this.dragConstraint) return;
+
+    this.position.copy(this.dragConstraint(newPosition, startPosition));
   }
 
   /**
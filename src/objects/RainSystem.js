@@ -0,0 +1,165 @@
+import * as THREE from 'three';
+
+/**
+ * RainSystem class rendering falling raindrops as a single Points object.
+ * Drop positions are animated in the vertex shader, so the buffers are
+ * uploaded once and each frame only updates a few uniforms.
+ */
+export class RainSystem extends THREE.Group {
+  /**
+   * Create a new RainSystem
+   * @param {Game} game - Reference to the main game instance
+   * @param {Object} options - Rain system options
+   */
+  constructor(game, options = {}) {
+    super();
+
+    this.game = game;
+
+    // Default options
+    const defaultOptions = {
+      maxDrops: 4000,
+      intensity: 1.0, // 0.0 (dry) to 1.0 (all drops falling)
+      areaSize: 120,
+      height: { min: 0, max: 40 },
+      dropSpeed: 30,
+      dropSize: 1.5,
+      color: 0xAEC6E8,
+      opacity: 0.6,
+      windSpeed: { x: 0, y: 0, z: 7 }
+    };
+
+    this.options = { ...defaultOptions, ...options };
+    this.intensity = 0;
+    this.rain = null;
+
+    // Create raindrops
+    this.createDrops();
+    this.setIntensity(this.options.intensity);
+  }
+
+  /**
+   * Create raindrop geometry and shader material
+   */
+  createDrops() {
+    const count = this.options.maxDrops;
+    const fallHeight = this.options.height.max - this.options.height.min;
+
+    // x/z hold the spawn position, y holds the drop's phase along its fall
+    const positions = new Float32Array(count * 3);
+    const speeds = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+      positions[i * 3] = (Math.random() - 0.5) * this.options.areaSize;
+      positions[i * 3 + 1] = Math.random() * fallHeight;
+      positions[i * 3 + 2] = (Math.random() - 0.5) * this.options.areaSize;
+      speeds[i] = this.options.dropSpeed * (0.8 + Math.random() * 0.4);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('speed', new THREE.BufferAttribute(speeds, 1));
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        time: { value: 0 },
+        baseHeight: { value: this.options.height.min },
+        fallHeight: { value: fallHeight },
+        areaSize: { value: this.options.areaSize },
+        wind: { value: new THREE.Vector3() },
+        dropSize: { value: this.options.dropSize },
+        color: { value: new THREE.Color(this.options.color) },
+        opacity: { value: this.options.opacity }
+      },
+      vertexShader: `
+        uniform float time;
+        uniform float baseHeight;
+        uniform float fallHeight;
+        uniform float areaSize;
+        uniform vec3 wind;
+        uniform float dropSize;
+        attribute float speed;
+        varying float vAlpha;
+        void main() {
+          // Distance travelled since the drop last left the top of the rain volume
+          float travel = mod(position.y + time * speed, fallHeight);
+          float fallTime = travel / speed;
+
+          vec3 p = vec3(position.x, baseHeight + fallHeight - travel, position.z);
+
+          // Drift with the wind, wrapping around inside the rain area
+          p.xz += wind.xz * fallTime;
+          p.xz = mod(p.xz + areaSize * 0.5, areaSize) - areaSize * 0.5;
+
+          // Fade drops in as they leave the clouds
+          vAlpha = smoothstep(0.0, 0.1, travel / fallHeight);
+
+          vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+          gl_PointSize = dropSize * (300.0 / -mvPosition.z);
+          gl_Position = projectionMatrix * mvPosition;
+        }
+      `,
+      fragmentShader: `
+        uniform vec3 color;
+        uniform float opacity;
+        varying float vAlpha;
+        void main() {
+          // Draw a thin vertical streak inside the point sprite
+          vec2 c = gl_PointCoord - 0.5;
+          float streak = 1.0 - smoothstep(0.05, 0.12, abs(c.x));
+          streak *= 1.0 - smoothstep(0.3, 0.5, abs(c.y));
+
+          float alpha = streak * opacity * vAlpha;
+          if (alpha < 0.01) discard;
+
+          gl_FragColor = vec4(color, alpha);
+        }
+      `,
+      transparent: true,
+      depthWrite: false
+    });
+
+    this.rain = new THREE.Points(geometry, material);
+
+    // Drops are moved in the shader, so the CPU-side bounds are meaningless
+    this.rain.frustumCulled = false;
+
+    this.add(this.rain);
+    this.setWindSpeed(this.options.windSpeed);
+  }
+
+  /**
+   * Set rain intensity
+   * @param {number} intensity - Intensity (0.0 to 1.0)
+   */
+  setIntensity(intensity) {
+    this.intensity = Math.max(0, Math.min(1, intensity));
+
+    // Only draw the share of drops matching the intensity
+    const visibleDrops = Math.floor(this.options.maxDrops * this.intensity);
+    this.rain.geometry.setDrawRange(0, visibleDrops);
+    this.rain.visible = visibleDrops > 0;
+  }
+
+  /**
+   * Set wind speed, usually the same object used by the CloudSystem
+   * @param {Object} windSpeed - Wind speed in units per second ({ x, y, z })
+   */
+  setWindSpeed(windSpeed) {
+    this.options.windSpeed = windSpeed;
+    this.rain.material.uniforms.wind.value.set(windSpeed.x, windSpeed.y, windSpeed.z);
+  }
+
+  /**
+   * Update the rain system
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    const uniforms = this.rain.material.uniforms;
+    uniforms.time.value += deltaTime;
+
+    // Follow changes made to the shared wind object
+    const windSpeed = this.options.windSpeed;
+    uniforms.wind.value.set(windSpeed.x, windSpeed.y, windSpeed.z);
+  }
+}
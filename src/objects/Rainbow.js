@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+
+/**
+ * Rainbow class representing the curved rainbow path Sunny slides along
+ */
+export class Rainbow extends THREE.Group {
+  /**
+   * Create a new Rainbow
+   * @param {Game} game - Reference to the main game instance
+   * @param {Object} options - Rainbow options
+   */
+  constructor(game, options = {}) {
+    super();
+
+    this.game = game;
+
+    // Default options
+    const defaultOptions = {
+      // Control points of the spline, from the top of the rainbow down to the pond
+      points: [
+        new THREE.Vector3(-50, 42, 0),
+        new THREE.Vector3(-28, 46, 0),
+        new THREE.Vector3(-5, 40, 0),
+        new THREE.Vector3(18, 26, 0),
+        new THREE.Vector3(40, 6, 0)
+      ],
+      radius: 2.5,
+      samples: 200
+    };
+
+    this.options = { ...defaultOptions, ...options };
+
+    this.colorBands = [
+      { color: 0xFF0000, name: 'Red' },
+      { color: 0xFF7F00, name: 'Orange' },
+      { color: 0xFFFF00, name: 'Yellow' },
+      { color: 0x00FF00, name: 'Green' },
+      { color: 0x0000FF, name: 'Blue' },
+      { color: 0x4B0082, name: 'Indigo' },
+      { color: 0x9400D3, name: 'Violet' }
+    ];
+
+    this.curve = null;
+    this.segments = [];
+    this.highlightedIndex = -1;
+
+    // Precomputed points along the curve for closest-point lookups
+    this.samplePoints = [];
+
+    this.createRainbowPath();
+  }
+
+  /**
+   * Create the spline and one tube mesh per color band
+   */
+  createRainbowPath() {
+    this.curve = new THREE.CatmullRomCurve3(this.options.points);
+
+    const bandLength = 1 / this.colorBands.length;
+
+    this.colorBands.forEach((band, index) => {
+      // Build a sub-curve covering this band's share of the path
+      const start = index * bandLength;
+      const bandPoints = [];
+      for (let i = 0; i <= 10; i++) {
+        bandPoints.push(this.curve.getPointAt(start + (bandLength * i) / 10));
+      }
+      const bandCurve = new THREE.CatmullRomCurve3(bandPoints);
+
+      const geometry = new THREE.TubeGeometry(bandCurve, 20, this.options.radius, 12, false);
+      const material = new THREE.MeshStandardMaterial({
+        color: band.color,
+        emissive: band.color,
+        emissiveIntensity: 0.2,
+        roughness: 0.3,
+        metalness: 0.1
+      });
+
+      const segment = new THREE.Mesh(geometry, material);
+      segment.castShadow = true;
+      segment.userData.colorName = band.name;
+      segment.userData.colorIndex = index;
+
+      this.add(segment);
+      this.segments.push(segment);
+    });
+
+    // Sample the curve for closest-point lookups
+    for (let i = 0; i <= this.options.samples; i++) {
+      this.samplePoints.push(this.curve.getPointAt(i / this.options.samples));
+    }
+  }
+
+  /**
+   * Get the point at a given progress along the rainbow
+   * @param {number} progress - Progress along the path (0.0 to 1.0)
+   * @param {THREE.Vector3} target - Optional vector to store the result in
+   * @returns {THREE.Vector3} - Point on the path in world space
+   */
+  getPointAt(progress, target = new THREE.Vector3()) {
+    this.curve.getPointAt(Math.max(0, Math.min(1, progress)), target);
+    return this.localToWorld(target);
+  }
+
+  /**
+   * Find the progress of the point on the path closest to a world position
+   * @param {THREE.Vector3} position - Position in world space
+   * @returns {number} - Progress along the path (0.0 to 1.0)
+   */
+  getClosestProgress(position) {
+    const localPosition = this.worldToLocal(position.clone());
+
+    let closestIndex = 0;
+    let closestDistance = Infinity;
+
+    this.samplePoints.forEach((point, index) => {
+      const distance = point.distanceToSquared(localPosition);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestIndex = index;
+      }
+    });
+
+    return closestIndex / this.options.samples;
+  }
+
+  /**
+   * Get the color band index at a given progress
+   * @param {number} progress - Progress along the path (0.0 to 1.0)
+   * @returns {number} - Index into colorBands
+   */
+  getBandIndex(progress) {
+    const index = Math.floor(progress * this.colorBands.length);
+    return Math.max(0, Math.min(this.colorBands.length - 1, index));
+  }
+
+  /**
+   * Highlight a color band
+   * @param {number} index - Index of the band to highlight (-1 for none)
+   */
+  highlightSegment(index) {
+    this.highlightedIndex = index;
+
+    this.segments.forEach((segment, i) => {
+      segment.material.emissiveIntensity = i === index ? 0.8 : 0.2;
+    });
+  }
+}
@@ -0,0 +1,428 @@
+import * as THREE from 'three';
+import { BaseScene } from './BaseScene.js';
+import { EventBus } from '../utils/EventBus.js';
+
+/**
+ * The Back Home scene - final scene in the story.
+ * Reuses the Calm Pond scene graph instead of building a new one.
+ */
+export class BackHomeScene extends BaseScene {
+  /**
+   * Create a new BackHomeScene
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    super(game);
+
+    // Nothing of its own to dispose, the scene graph belongs to the Calm Pond scene
+    this.persistent = true;
+
+    // Shared pond elements
+    this.pondScene = null;
+    this.duck = null;
+    this.cloudSystem = null;
+    this.water = null;
+
+    // Sunny floating back down into the pond
+    this.duckLanding = {
+      inProgress: false,
+      startHeight: 35,
+      duration: 2.5,
+      startTime: 0
+    };
+
+    // Reverse of the START camera animation
+    this.cameraAnimation = {
+      inProgress: false,
+      startPosition: null,
+      startTarget: null,
+      targetPosition: null,
+      targetLookAt: null,
+      duration: 1.0,
+      startTime: 0
+    };
+
+    // Closing activity
+    this.summaryDelay = 8000; // Show the summary even if Sunny is never tapped
+    this.summaryTimer = null;
+    this.summaryId = null;
+    this.replayButtonId = null;
+    this.storyCompleted = false;
+    this.pauseTime = null;
+
+    // Bound event handlers so they can be removed on exit
+    this.onDuckQuacked = this.onDuckQuacked.bind(this);
+  }
+
+  /**
+   * Initialize the scene
+   * @returns {Promise} - Resolves when initialization is complete
+   */
+  async init() {
+    try {
+      console.log('Initializing Back Home scene');
+
+      // Reuse the pond rather than rebuilding sky, ground, water, clouds and duck
+      this.pondScene = this.game.sceneManager.scenes.calmPond;
+      if (!this.pondScene.isInitialized) {
+        await this.pondScene.init();
+      }
+
+      this.scene = this.pondScene.scene;
+      this.sky = this.pondScene.sky;
+      this.ground = this.pondScene.ground;
+      this.lights = this.pondScene.lights;
+      this.duck = this.pondScene.duck;
+      this.cloudSystem = this.pondScene.cloudSystem;
+      this.water = this.pondScene.water;
+
+      // Mark as initialized
+      this.isInitialized = true;
+      this.isActive = true;
+
+      console.log('Back Home scene initialized');
+    } catch (error) {
+      console.error('Error initializing Back Home scene:', error);
+      // Ensure we mark the scene as initialized even if there's an error
+      this.isInitialized = true;
+      this.isActive = true;
+    }
+  }
+
+  /**
+   * Enter the scene
+   * @param {BaseScene|null} previousScene - Scene being left, if any
+   */
+  onEnter(previousScene) {
+    try {
+      this.storyCompleted = false;
+      this.cameraAnimation.inProgress = false;
+
+      // Start with the camera where the START animation left it
+      const { targetPosition, targetLookAt } = this.pondScene.cameraAnimation;
+      this.game.camera.userData.swayEnabled = false;
+      this.game.camera.position.copy(targetPosition);
+      this.game.camera.lookAt(targetLookAt);
+
+      // Ambient water sound of the pond
+      if (this.game.audioManager) {
+        this.game.audioManager.playSound('water', {
+          volume: 0.3,
+          loop: true
+        });
+      }
+
+      // Bring Sunny home
+      this.startDuckLanding();
+    } catch (error) {
+      console.error('Error entering scene:', error);
+    }
+  }
+
+  /**
+   * Leave the scene
+   * @param {BaseScene} nextScene - Scene being entered
+   */
+  onExit(nextScene) {
+    try {
+      super.onExit(nextScene);
+
+      this.hideSummary();
+
+      this.duckLanding.inProgress = false;
+      this.cameraAnimation.inProgress = false;
+
+      if (this.game.audioManager) {
+        this.game.audioManager.stopSound('water');
+      }
+    } catch (error) {
+      console.error('Error exiting scene:', error);
+    }
+  }
+
+  /**
+   * Pause the scene, freezing the landing and camera animations
+   */
+  onPause() {
+    super.onPause();
+    this.pauseTime = performance.now();
+  }
+
+  /**
+   * Resume the scene, continuing the animations where they stopped
+   */
+  onResume() {
+    super.onResume();
+
+    if (this.pauseTime) {
+      const pausedFor = performance.now() - this.pauseTime;
+      this.duckLanding.startTime += pausedFor;
+      this.cameraAnimation.startTime += pausedFor;
+      this.pauseTime = null;
+    }
+  }
+
+  /**
+   * Get the interaction scopes that are active while this scene is current
+   * @returns {Array} - Interaction scopes, including the pond's so Sunny can be tapped
+   */
+  getInteractionScopes() {
+    return [this, this.pondScene];
+  }
+
+  /**
+   * Start Sunny floating down into the pond
+   */
+  startDuckLanding() {
+    if (!this.duck) return;
+
+    this.duck.position.set(0, this.duckLanding.startHeight, 0);
+    this.duckLanding.inProgress = true;
+    this.duckLanding.startTime = performance.now();
+
+    if (this.game.uiSystem) {
+      this.game.uiSystem.showFeedback(this.game.i18n.t('home.arriving'), 'info', {
+        duration: 2500,
+        animation: 'fade'
+      });
+    }
+  }
+
+  /**
+   * Update Sunny floating down into the pond
+   */
+  updateDuckLanding() {
+    try {
+      const elapsed = (performance.now() - this.duckLanding.startTime) / 1000;
+      const t = Math.min(elapsed / this.duckLanding.duration, 1);
+
+      // Ease out so Sunny settles gently on the water
+      const ease = 1 - Math.pow(1 - t, 3);
+      this.duck.position.y = this.duckLanding.startHeight * (1 - ease);
+
+      if (t >= 1) {
+        this.duckLanding.inProgress = false;
+
+        // Splash!
+        if (this.game.audioManager) {
+          this.game.audioManager.playSound('quack', { position: this.duck });
+        }
+
+        this.startCameraAnimation();
+      }
+    } catch (error) {
+      console.error('Error updating duck landing:', error);
+      this.duckLanding.inProgress = false;
+    }
+  }
+
+  /**
+   * Animate the camera from the START close-up back to the establishing shot
+   */
+  startCameraAnimation() {
+    const pondAnimation = this.pondScene.cameraAnimation;
+    const establishingShot = this.pondScene.establishingShot;
+
+    this.cameraAnimation.inProgress = true;
+    this.cameraAnimation.startPosition = pondAnimation.targetPosition.clone();
+    this.cameraAnimation.startTarget = pondAnimation.targetLookAt.clone();
+    this.cameraAnimation.targetPosition = establishingShot.position.clone();
+    this.cameraAnimation.targetLookAt = establishingShot.lookAt.clone();
+    this.cameraAnimation.duration = pondAnimation.duration;
+    this.cameraAnimation.startTime = performance.now();
+  }
+
+  /**
+   * Update camera animation
+   */
+  updateCameraAnimation() {
+    try {
+      const elapsed = (performance.now() - this.cameraAnimation.startTime) / 1000;
+      const t = Math.min(elapsed / this.cameraAnimation.duration, 1);
+
+      // Same cubic easing as the START animation
+      const ease = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+      // Interpolate position
+      this.game.camera.position.lerpVectors(
+        this.cameraAnimation.startPosition,
+        this.cameraAnimation.targetPosition,
+        ease
+      );
+
+      // Interpolate target
+      const currentTarget = new THREE.Vector3();
+      currentTarget.lerpVectors(
+        this.cameraAnimation.startTarget,
+        this.cameraAnimation.targetLookAt,
+        ease
+      );
+      this.game.camera.lookAt(currentTarget);
+
+      // Check if animation is complete
+      if (t >= 1) {
+        this.cameraAnimation.inProgress = false;
+        console.log('Camera animation complete');
+
+        this.setupCameraSway(this.cameraAnimation.targetPosition, this.cameraAnimation.targetLookAt);
+        this.startClosingActivity();
+      }
+    } catch (error) {
+      console.error('Error updating camera animation:', error);
+      this.cameraAnimation.inProgress = false;
+    }
+  }
+
+  /**
+   * Invite the player to tap Sunny one last time
+   */
+  startClosingActivity() {
+    this.listen(EventBus.EVENTS.DUCK_QUACKED, this.onDuckQuacked);
+
+    if (this.game.uiSystem) {
+      this.game.uiSystem.showFeedback(this.game.i18n.t('home.tapSunny'), 'info', {
+        duration: 3000,
+        animation: 'pop'
+      });
+    }
+
+    this.summaryTimer = this.addTimer(() => {
+      this.showStorySummary();
+    }, this.summaryDelay);
+  }
+
+  /**
+   * Handle Sunny being tapped
+   * @param {Object} detail - Event detail ({ duck })
+   */
+  onDuckQuacked(detail) {
+    if (detail.duck !== this.duck) return;
+
+    if (this.game.audioManager) {
+      this.game.audioManager.playSound('success');
+    }
+
+    this.showStorySummary();
+  }
+
+  /**
+   * Show the end-of-story summary and replay option
+   */
+  showStorySummary() {
+    if (this.storyCompleted) return;
+    this.storyCompleted = true;
+
+    this.clearTimer(this.summaryTimer);
+
+    if (!this.game.uiSystem) return;
+
+    const i18n = this.game.i18n;
+    const lines = [i18n.t('summary.floated')];
+
+    // Sum up what was done in this play-through. A continued story may have skipped some of it.
+    const saveSystem = this.game.saveSystem;
+    if (saveSystem) {
+      const { cloudsCounted, completedScenes, colorsNamed } = saveSystem.progress;
+
+      if (cloudsCounted.length > 0) {
+        lines.push(i18n.t('summary.counted', { count: cloudsCounted.length }));
+      }
+
+      if (completedScenes.includes('rainShower')) {
+        lines.push(i18n.t('summary.puddles'));
+      }
+
+      if (colorsNamed.length > 0) {
+        lines.push(i18n.t('summary.rainbow', { count: colorsNamed.length }));
+      }
+    }
+
+    lines.push(i18n.t('summary.home'));
+
+    this.summaryId = this.game.uiSystem.showSummary(i18n.t('summary.title'), lines);
+
+    this.replayButtonId = this.game.uiSystem.createButton(i18n.t('home.playAgain'), () => {
+      this.restartStory();
+    }, {
+      size: 'large',
+      type: 'success'
+    });
+  }
+
+  /**
+   * Start the story from the beginning
+   */
+  async restartStory() {
+    try {
+      this.hideSummary();
+
+      // The pond resets itself when it is entered again
+      await this.game.sceneManager.restart();
+    } catch (error) {
+      console.error('Error restarting story:', error);
+    }
+  }
+
+  /**
+   * Hide the summary and replay button
+   */
+  hideSummary() {
+    if (!this.game.uiSystem) return;
+
+    if (this.summaryId) {
+      this.game.uiSystem.hideElement(this.summaryId);
+      this.summaryId = null;
+    }
+
+    if (this.replayButtonId) {
+      this.game.uiSystem.hideElement(this.replayButtonId);
+      this.replayButtonId = null;
+    }
+  }
+
+  /**
+   * Update the scene
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    try {
+      if (this.duckLanding.inProgress) {
+        this.updateDuckLanding();
+      } else if (this.cameraAnimation.inProgress) {
+        this.updateCameraAnimation();
+      } else {
+        this.updateCameraSway(deltaTime);
+      }
+
+      // Update shared pond elements
+      if (this.cloudSystem) {
+        this.cloudSystem.update(deltaTime);
+      }
+
+      if (this.duck) {
+        this.duck.update(deltaTime);
+      }
+
+      if (this.water) {
+        this.water.position.y = 0.1 + Math.sin(Date.now() * 0.001) * 0.05;
+      }
+    } catch (error) {
+      console.error('Error updating scene:', error);
+    }
+  }
+
+  /**
+   * Clean up the scene
+   */
+  cleanup() {
+    try {
+      this.clearTimers();
+
+      // The scene graph belongs to the Calm Pond scene, so don't dispose it here
+      this.isInitialized = false;
+      this.isActive = false;
+    } catch (error) {
+      console.error('Error cleaning up scene:', error);
+    }
+  }
+}
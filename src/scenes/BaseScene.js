@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import eventBus from '../utils/EventBus.js';
 
 /**
  * Base class for all scenes
@@ -13,6 +14,14 @@ export class BaseScene {
     this.scene = new THREE.Scene();
     this.isInitialized = false;
     this.isActive = false;
+    this.isPaused = false;
+
+    // Persistent scenes keep their resources when the player leaves them
+    this.persistent = false;
+
+    // Timers started with addTimer(), cleared when the scene is exited
+    this.timers = new Map();
+    this.timerCounter = 0;
 
     // Common scene elements
     this.sky = null;
@@ -130,6 +139,141 @@ export class BaseScene {
     this.scene.add(this.lights.directional);
   }
 
+  /**
+   * Called by SceneManager every time the scene becomes the current scene,
+   * after init(). Start ambient audio, place the camera and begin activities here.
+   * @param {BaseScene|null} previousScene - Scene being left, if any
+   */
+  onEnter(previousScene) {
+    // Override in derived classes
+  }
+
+  /**
+   * Called by SceneManager when the player leaves the scene, before the outgoing
+   * transition plays. Stop audio, timers and listeners started in onEnter() here.
+   * @param {BaseScene} nextScene - Scene being entered
+   */
+  onExit(nextScene) {
+    this.clearTimers();
+  }
+
+  /**
+   * Called when the game is paused (e.g. the tab is hidden)
+   */
+  onPause() {
+    this.isPaused = true;
+    this.pauseTimers();
+  }
+
+  /**
+   * Called when the game resumes after a pause
+   */
+  onResume() {
+    this.isPaused = false;
+    this.resumeTimers();
+  }
+
+  /**
+   * Get the interaction scopes that are active while this scene is current.
+   * Objects register with their scene as scope, see InteractionSystem.register().
+   * @returns {Array} - Interaction scopes
+   */
+  getInteractionScopes() {
+    return [this];
+  }
+
+  /**
+   * Listen for a game event while the scene is current.
+   * The listener is removed when the scene is exited (see SceneManager.exitScene()).
+   * @param {string} event - Event name (see EventBus.EVENTS)
+   * @param {Function} callback - Callback function, called with the event's detail
+   */
+  listen(event, callback) {
+    eventBus.on(event, callback, { scope: this });
+  }
+
+  /**
+   * Start a timer that is paused with the scene and cleared when the scene is exited
+   * @param {Function} callback - Function to call
+   * @param {number} delay - Delay in milliseconds
+   * @returns {number} - Timer ID for clearTimer()
+   */
+  addTimer(callback, delay) {
+    const id = ++this.timerCounter;
+    const timer = { callback, remaining: delay, startTime: 0, timeoutId: null };
+
+    this.timers.set(id, timer);
+    if (!this.isPaused) {
+      this.startTimer(id, timer);
+    }
+
+    return id;
+  }
+
+  /**
+   * Start or restart the timeout behind a scene timer
+   * @param {number} id - Timer ID
+   * @param {Object} timer - Timer state
+   */
+  startTimer(id, timer) {
+    timer.startTime = performance.now();
+    timer.timeoutId = setTimeout(() => {
+      this.timers.delete(id);
+
+      try {
+        timer.callback();
+      } catch (error) {
+        console.error(`Error in timer of scene ${this.constructor.name}:`, error);
+      }
+    }, timer.remaining);
+  }
+
+  /**
+   * Cancel a timer started with addTimer()
+   * @param {number} id - Timer ID
+   */
+  clearTimer(id) {
+    const timer = this.timers.get(id);
+    if (!timer) return;
+
+    clearTimeout(timer.timeoutId);
+    this.timers.delete(id);
+  }
+
+  /**
+   * Cancel all timers of the scene
+   */
+  clearTimers() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer.timeoutId);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Pause all running timers, keeping their remaining time
+   */
+  pauseTimers() {
+    for (const timer of this.timers.values()) {
+      if (timer.timeoutId === null) continue;
+
+      clearTimeout(timer.timeoutId);
+      timer.timeoutId = null;
+      timer.remaining = Math.max(0, timer.remaining - (performance.now() - timer.startTime));
+    }
+  }
+
+  /**
+   * Resume timers paused with pauseTimers()
+   */
+  resumeTimers() {
+    for (const [id, timer] of this.timers) {
+      if (timer.timeoutId === null) {
+        this.startTimer(id, timer);
+      }
+    }
+  }
+
   /**
    * Handle START button click
    */
@@ -138,6 +282,67 @@ export class BaseScene {
     // Override in derived classes
   }
 
+  /**
+   * Place the camera and enable gentle swaying around that position
+   * @param {THREE.Vector3} position - Camera base position
+   * @param {THREE.Vector3} target - Point the camera looks at
+   * @param {Object} options - Sway options
+   */
+  setupCameraSway(position, target, options = {}) {
+    const defaultOptions = {
+      amplitude: 0.02,
+      speed: 0.5
+    };
+
+    const settings = { ...defaultOptions, ...options };
+
+    this.game.camera.position.copy(position);
+    this.game.camera.lookAt(target);
+
+    // Store original position for swaying
+    this.game.camera.userData.basePosition = position.clone();
+    this.game.camera.userData.baseTarget = target.clone();
+    this.game.camera.userData.swayEnabled = true;
+    this.game.camera.userData.swayAmplitude = settings.amplitude;
+    this.game.camera.userData.swaySpeed = settings.speed;
+    this.game.camera.userData.swayTime = 0;
+  }
+
+  /**
+   * Update camera sway
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  updateCameraSway(deltaTime) {
+    try {
+      if (!this.game.camera.userData.swayEnabled) return;
+
+      // Keep the camera still for players sensitive to motion
+      if (this.game.settings && this.game.settings.get('reducedMotion')) return;
+
+      this.game.camera.userData.swayTime += deltaTime * this.game.camera.userData.swaySpeed;
+
+      // Calculate sway offsets
+      const swayX = Math.sin(this.game.camera.userData.swayTime) * this.game.camera.userData.swayAmplitude;
+      const swayY = Math.sin(this.game.camera.userData.swayTime * 0.7) * this.game.camera.userData.swayAmplitude * 0.5;
+      const swayZ = Math.cos(this.game.camera.userData.swayTime * 0.3) * this.game.camera.userData.swayAmplitude * 0.3;
+
+      // Apply sway to position
+      this.game.camera.position.copy(this.game.camera.userData.basePosition);
+      this.game.camera.position.x += swayX;
+      this.game.camera.position.y += swayY;
+      this.game.camera.position.z += swayZ;
+
+      // Apply slight sway to target
+      const target = this.game.camera.userData.baseTarget.clone();
+      target.x += swayX * 0.2;
+      target.y += swayY * 0.3;
+
+      this.game.camera.lookAt(target);
+    } catch (error) {
+      console.error('Error updating camera sway:', error);
+    }
+  }
+
   /**
    * Update the scene
    * @param {number} deltaTime - Time since last update in seconds
@@ -152,6 +357,13 @@ export class BaseScene {
   cleanup() {
     console.log(`Cleaning up scene: ${this.constructor.name}`);
 
+    this.clearTimers();
+
+    // Stop disposed objects from receiving clicks and drags
+    if (this.game.interactionSystem) {
+      this.game.interactionSystem.unregisterScope(this);
+    }
+
     // Dispose of geometries and materials
     this.scene.traverse((object) => {
       if (object.geometry) {
@@ -185,6 +397,8 @@ export class BaseScene {
       this.scene.remove(this.scene.children[0]);
     }
 
+    // Build the scene again on the next visit
+    this.isInitialized = false;
     this.isActive = false;
   }
 }
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { BaseScene } from './BaseScene.js';
+import eventBus, { EventBus } from '../utils/EventBus.js';
 import { Duck } from '../objects/Duck.js';
 import { CloudSystem } from '../objects/Cloud.js';
 
@@ -14,10 +15,20 @@ export class CalmPondScene extends BaseScene {
   constructor(game) {
     super(game);
 
+    // The Back Home scene reuses this scene graph
+    this.persistent = true;
+
     // Scene-specific elements
     this.duck = null;
     this.cloudSystem = null;
     this.water = null;
+    this.continueButtonId = null;
+
+    // Wide shot of the pond shown before START is pressed
+    this.establishingShot = {
+      position: new THREE.Vector3(-90, 50, -110),
+      lookAt: new THREE.Vector3(0, 1, 0)
+    };
 
     // Camera animation
     this.cameraAnimation = {
@@ -29,6 +40,7 @@ export class CalmPondScene extends BaseScene {
       duration: 1.0,
       startTime: 0
     };
+    this.pauseTime = null;
   }
 
   /**
@@ -53,7 +65,7 @@ export class CalmPondScene extends BaseScene {
       this.scene.add(this.cloudSystem);
 
       // Create duck
-      this.duck = new Duck(this.game);
+      this.duck = new Duck(this.game, { interactionScope: this });
       await this.duck.load();
       this.duck.position.set(0, 0, 0);
       this.duck.scale.set(6, 6, 6);
@@ -67,20 +79,11 @@ export class CalmPondScene extends BaseScene {
             'water': 'sounds/water_ambient.mp3',
             'success': 'sounds/success.mp3'
           });
-
-          // Play ambient water sound
-          this.game.audioManager.playSound('water', {
-            volume: 0.3,
-            loop: true
-          });
         }
       } catch (error) {
         console.warn('Error loading sounds, continuing without audio:', error);
       }
 
-      // Setup camera
-      this.setupCamera();
-
       console.log('Calm Pond scene initialized');
     } catch (error) {
       console.error('Error initializing Calm Pond scene:', error);
@@ -128,28 +131,133 @@ export class CalmPondScene extends BaseScene {
    */
   setupCamera() {
     try {
-      // Set initial position
-      this.game.camera.position.set(-90, 50, -110);
-      this.game.camera.lookAt(0, 1, 0);
-
-      // Store original position for swaying
-      this.game.camera.userData.basePosition = this.game.camera.position.clone();
-      this.game.camera.userData.baseTarget = new THREE.Vector3(0, 1, 0);
-      this.game.camera.userData.swayEnabled = true;
-      this.game.camera.userData.swayAmplitude = 0.02;
-      this.game.camera.userData.swaySpeed = 0.5;
-      this.game.camera.userData.swayTime = 0;
+      // Set initial position and enable swaying
+      this.setupCameraSway(this.establishingShot.position, this.establishingShot.lookAt);
     } catch (error) {
       console.error('Error setting up camera:', error);
     }
   }
 
+  /**
+   * Enter the scene, resetting the pond so the story can be played (again)
+   * @param {BaseScene|null} previousScene - Scene being left, if any
+   */
+  onEnter(previousScene) {
+    try {
+      this.cameraAnimation.inProgress = false;
+
+      // Put Sunny back in the middle of the pond
+      if (this.duck) {
+        this.duck.position.set(0, 0, 0);
+      }
+
+      this.setupCamera();
+      this.setStartButtonVisible(true);
+      this.showContinueButton();
+
+      // Play ambient water sound
+      if (this.game.audioManager) {
+        this.game.audioManager.playSound('water', {
+          volume: 0.3,
+          loop: true
+        });
+      }
+    } catch (error) {
+      console.error('Error entering scene:', error);
+    }
+  }
+
+  /**
+   * Leave the scene
+   * @param {BaseScene} nextScene - Scene being entered
+   */
+  onExit(nextScene) {
+    try {
+      super.onExit(nextScene);
+
+      this.cameraAnimation.inProgress = false;
+      this.setStartButtonVisible(false);
+      this.hideContinueButton();
+
+      if (this.game.audioManager) {
+        this.game.audioManager.stopSound('water');
+      }
+    } catch (error) {
+      console.error('Error exiting scene:', error);
+    }
+  }
+
+  /**
+   * Pause the scene, freezing the START camera animation
+   */
+  onPause() {
+    super.onPause();
+    this.pauseTime = performance.now();
+  }
+
+  /**
+   * Resume the scene, continuing the START camera animation where it stopped
+   */
+  onResume() {
+    super.onResume();
+
+    if (this.pauseTime) {
+      this.cameraAnimation.startTime += performance.now() - this.pauseTime;
+      this.pauseTime = null;
+    }
+  }
+
+  /**
+   * Show or hide the START button
+   * @param {boolean} visible - Whether the button should be visible
+   */
+  setStartButtonVisible(visible) {
+    const startButton = document.getElementById('startButton');
+    if (startButton) {
+      startButton.style.display = visible ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Offer to continue a story saved in an earlier session
+   */
+  showContinueButton() {
+    const saveSystem = this.game.saveSystem;
+    if (!saveSystem || !saveSystem.canContinue() || this.continueButtonId) return;
+
+    this.continueButtonId = this.game.uiSystem.createButton(this.game.i18n.t('ui.continue'), () => {
+      this.hideContinueButton();
+      this.setStartButtonVisible(false);
+      saveSystem.continueStory();
+    }, {
+      size: 'large',
+      type: 'success'
+    });
+  }
+
+  /**
+   * Hide the continue button
+   */
+  hideContinueButton() {
+    if (this.continueButtonId) {
+      this.game.uiSystem.hideElement(this.continueButtonId);
+      this.continueButtonId = null;
+    }
+  }
+
   /**
    * Handle START button click
    */
   onStartButtonClicked() {
     try {
       console.log('START button clicked in Calm Pond scene');
+
+      // Starting over replaces any saved story
+      this.hideContinueButton();
+      if (this.game.saveSystem) {
+        this.game.saveSystem.startNewStory();
+      }
+
       this.animateCameraToGamePosition();
     } catch (error) {
       console.error('Error handling START button click:', error);
@@ -171,14 +279,11 @@ export class CalmPondScene extends BaseScene {
       this.cameraAnimation.startTime = performance.now();
 
       // Hide START button
-      const startButton = document.getElementById('startButton');
-      if (startButton) {
-        startButton.style.display = 'none';
-      }
+      this.setStartButtonVisible(false);
 
       // Show feedback
       if (this.game.uiSystem) {
-        this.game.uiSystem.showFeedback("Let's start Sunny's adventure!", 'info', {
+        this.game.uiSystem.showFeedback(this.game.i18n.t('pond.start'), 'info', {
           duration: 3000,
           animation: 'fade'
         });
@@ -228,10 +333,10 @@ export class CalmPondScene extends BaseScene {
         this.cameraAnimation.inProgress = false;
         console.log('Camera animation complete');
 
-        // Transition to next scene after delay
-        setTimeout(() => {
-          this.transitionToNextScene();
-        }, 2000);
+        // Let the story graph move on to the next scene
+        eventBus.emit(EventBus.EVENTS.START_ANIMATION_COMPLETED, {
+          scene: this
+        });
       }
     } catch (error) {
       console.error('Error updating camera animation:', error);
@@ -239,67 +344,6 @@ export class CalmPondScene extends BaseScene {
     }
   }
 
-  /**
-   * Transition to the next scene
-   */
-  transitionToNextScene() {
-    try {
-      // In a real implementation, this would transition to the "Up in the Clouds" scene
-      console.log('Would transition to "Up in the Clouds" scene here');
-
-      // For now, just show a message
-      if (this.game.uiSystem) {
-        this.game.uiSystem.showFeedback('Sunny is ready for the clouds!', 'success', {
-          duration: 3000,
-          animation: 'pop'
-        });
-      }
-
-      // Show START button again
-      const startButton = document.getElementById('startButton');
-      if (startButton) {
-        startButton.style.display = 'block';
-      }
-
-      // Re-enable camera sway
-      this.game.camera.userData.swayEnabled = true;
-    } catch (error) {
-      console.error('Error transitioning to next scene:', error);
-    }
-  }
-
-  /**
-   * Update camera sway
-   * @param {number} deltaTime - Time since last update in seconds
-   */
-  updateCameraSway(deltaTime) {
-    try {
-      if (!this.game.camera.userData.swayEnabled) return;
-
-      this.game.camera.userData.swayTime += deltaTime * this.game.camera.userData.swaySpeed;
-
-      // Calculate sway offsets
-      const swayX = Math.sin(this.game.camera.userData.swayTime) * this.game.camera.userData.swayAmplitude;
-      const swayY = Math.sin(this.game.camera.userData.swayTime * 0.7) * this.game.camera.userData.swayAmplitude * 0.5;
-      const swayZ = Math.cos(this.game.camera.userData.swayTime * 0.3) * this.game.camera.userData.swayAmplitude * 0.3;
-
-      // Apply sway to position
-      this.game.camera.position.copy(this.game.camera.userData.basePosition);
-      this.game.camera.position.x += swayX;
-      this.game.camera.position.y += swayY;
-      this.game.camera.position.z += swayZ;
-
-      // Apply slight sway to target
-      const target = this.game.camera.userData.baseTarget.clone();
-      target.x += swayX * 0.2;
-      target.y += swayY * 0.3;
-
-      this.game.camera.lookAt(target);
-    } catch (error) {
-      console.error('Error updating camera sway:', error);
-    }
-  }
-
   /**
    * Update the scene
    * @param {number} deltaTime - Time since last update in seconds
@@ -0,0 +1,186 @@
+import * as THREE from 'three';
+import { BaseScene } from './BaseScene.js';
+import { EventBus } from '../utils/EventBus.js';
+import { Duck } from '../objects/Duck.js';
+import { CloudSystem } from '../objects/Cloud.js';
+
+/**
+ * The Up in the Clouds scene - second scene in the story
+ */
+export class CloudsScene extends BaseScene {
+  /**
+   * Create a new CloudsScene
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    super(game);
+
+    // Scene-specific elements
+    this.duck = null;
+    this.cloudSystem = null;
+
+    // Counting game difficulty (see CloudSystem.COUNTING_LEVELS), adapted after each round
+    this.countingLevel = 0;
+    this.countingClouds = [];
+
+    // Milliseconds the round's introduction is shown before hints start
+    this.countingIntroDuration = 3000;
+
+    // Bound event handlers
+    this.onSceneEntered = this.onSceneEntered.bind(this);
+    this.onCountingCompleted = this.onCountingCompleted.bind(this);
+  }
+
+  /**
+   * Initialize the scene
+   * @returns {Promise} - Resolves when initialization is complete
+   */
+  async init() {
+    try {
+      // Call parent init to create common elements
+      await super.init();
+
+      console.log('Initializing Up in the Clouds scene');
+
+      // Create interactive cloud system around Sunny
+      this.cloudSystem = new CloudSystem(this.game, 30, {
+        radius: 60,
+        height: { min: 15, max: 35 },
+        interactive: true,
+        windSpeed: { x: 0, y: 0, z: 2 },
+        interactionScope: this
+      });
+      this.scene.add(this.cloudSystem);
+
+      // Create duck floating among the clouds
+      this.duck = new Duck(this.game, { interactionScope: this });
+      await this.duck.load();
+      this.duck.position.set(0, 25, 0);
+      this.duck.scale.set(4, 4, 4);
+      this.scene.add(this.duck);
+
+      // Preload sounds
+      try {
+        if (this.game.audioManager) {
+          await Promise.all([
+            this.game.audioManager.preloadSounds({
+              'quack': 'sounds/quack.mp3',
+              'cloudPop': 'sounds/cloudPop.mp3',
+              'success': 'sounds/success.mp3'
+            }),
+            // Counting goes up to 10 at the harder levels
+            this.game.audioManager.preloadNarration(Array.from({ length: 10 }, (_, i) => `number${i + 1}`))
+          ]);
+        }
+      } catch (error) {
+        console.warn('Error loading sounds, continuing without audio:', error);
+      }
+
+      console.log('Up in the Clouds scene initialized');
+    } catch (error) {
+      console.error('Error initializing Up in the Clouds scene:', error);
+      // Ensure we mark the scene as initialized even if there's an error
+      this.isInitialized = true;
+      this.isActive = true;
+    }
+  }
+
+  /**
+   * Enter the scene
+   * @param {BaseScene|null} previousScene - Scene being left, if any
+   */
+  onEnter(previousScene) {
+    this.setupCamera();
+    this.listen(EventBus.EVENTS.SCENE_ENTERED, this.onSceneEntered);
+    this.listen(EventBus.EVENTS.COUNTING_COMPLETED, this.onCountingCompleted);
+    this.startCountingGame();
+  }
+
+  /**
+   * Start the hint timer once the transition into the scene and the round's introduction are over
+   * @param {Object} detail - Event detail ({ name, scene })
+   */
+  onSceneEntered(detail) {
+    if (detail.scene !== this) return;
+
+    this.addTimer(() => this.cloudSystem.startHintTimer(), this.countingIntroDuration);
+  }
+
+  /**
+   * Setup camera for this scene
+   */
+  setupCamera() {
+    try {
+      this.setupCameraSway(new THREE.Vector3(-30, 32, -40), new THREE.Vector3(0, 25, 0), {
+        amplitude: 0.05
+      });
+    } catch (error) {
+      console.error('Error setting up camera:', error);
+    }
+  }
+
+  /**
+   * Start the cloud counting game
+   */
+  startCountingGame() {
+    try {
+      // Pick up at the level reached last time
+      if (this.game.saveSystem) {
+        this.countingLevel = this.game.saveSystem.getSkill('countingLevel', this.countingLevel);
+      }
+
+      // The story graph advances when CloudSystem emits EventBus.EVENTS.COUNTING_COMPLETED
+      this.countingClouds = this.cloudSystem.setupCountingLevel(this.countingLevel);
+
+      // Finding numbers starts by asking for the first one, out loud
+      if (this.cloudSystem.counting.mode === CloudSystem.COUNTING_MODES.FIND) {
+        this.cloudSystem.promptFind();
+      } else if (this.game.uiSystem) {
+        this.game.uiSystem.showFeedback(this.cloudSystem.getCountingIntro(), 'info', {
+          duration: this.countingIntroDuration,
+          animation: 'fade'
+        });
+      }
+    } catch (error) {
+      console.error('Error starting counting game:', error);
+    }
+  }
+
+  /**
+   * Move to the difficulty level earned in the round just played
+   * @param {Object} detail - Event detail ({ nextLevel, successRate, ... })
+   */
+  onCountingCompleted(detail) {
+    if (detail.nextLevel === null) return;
+
+    console.log(`Counting success rate ${Math.round(detail.successRate * 100)}%, next level ${detail.nextLevel}`);
+    this.countingLevel = detail.nextLevel;
+
+    if (this.game.saveSystem) {
+      this.game.saveSystem.setSkill('countingLevel', this.countingLevel);
+    }
+  }
+
+  /**
+   * Update the scene
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    try {
+      // Update camera sway
+      this.updateCameraSway(deltaTime);
+
+      // Update cloud system
+      if (this.cloudSystem) {
+        this.cloudSystem.update(deltaTime);
+      }
+
+      // Update duck
+      if (this.duck) {
+        this.duck.update(deltaTime);
+      }
+    } catch (error) {
+      console.error('Error updating scene:', error);
+    }
+  }
+}
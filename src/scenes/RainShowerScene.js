@@ -0,0 +1,350 @@
+import * as THREE from 'three';
+import { BaseScene } from './BaseScene.js';
+import eventBus, { EventBus } from '../utils/EventBus.js';
+import { Duck } from '../objects/Duck.js';
+import { CloudSystem } from '../objects/Cloud.js';
+import { RainSystem } from '../objects/RainSystem.js';
+
+/**
+ * The Rain Shower scene - third scene in the story
+ */
+export class RainShowerScene extends BaseScene {
+  /**
+   * Create a new RainShowerScene
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    super(game);
+
+    // Scene-specific elements
+    this.duck = null;
+    this.cloudSystem = null;
+    this.rainSystem = null;
+    this.puddles = [];
+
+    // Shared by clouds and rain so the drops drift with the clouds
+    this.windSpeed = { x: 2, y: 0, z: 5 };
+
+    // Clear-to-rainy weather transition
+    this.weather = {
+      progress: 0,
+      duration: 4.0,
+      // Start values are read from BaseScene's sky and lights in init()
+      skyTop: { from: null, to: new THREE.Color(0.32, 0.37, 0.46) },
+      skyBottom: { from: null, to: new THREE.Color(0.62, 0.64, 0.68) },
+      ambientIntensity: { from: 0, to: 0.35 },
+      sunIntensity: { from: 0, to: 0.4 }
+    };
+
+    // Puddle settings
+    this.puddleCount = 7;
+    this.puddleGrowthTime = 20; // seconds of full rain to fill a puddle
+    this.puddlesFilled = false;
+
+    // UI
+    this.causeEffectId = null;
+  }
+
+  /**
+   * Initialize the scene
+   * @returns {Promise} - Resolves when initialization is complete
+   */
+  async init() {
+    try {
+      // Call parent init to create common elements
+      await super.init();
+
+      console.log('Initializing Rain Shower scene');
+
+      // Start dry on every visit
+      this.weather.progress = 0;
+      this.puddlesFilled = false;
+
+      // Remember the clear weather so it can be darkened gradually
+      this.weather.skyTop.from = this.sky.material.uniforms.topColor.value.clone();
+      this.weather.skyBottom.from = this.sky.material.uniforms.bottomColor.value.clone();
+      this.weather.ambientIntensity.from = this.lights.ambient.intensity;
+      this.weather.sunIntensity.from = this.lights.directional.intensity;
+
+      // Create grey rain clouds
+      this.cloudSystem = new CloudSystem(this.game, 40, {
+        radius: 60,
+        height: { min: 28, max: 36 },
+        interactive: false,
+        windSpeed: this.windSpeed
+      });
+      this.cloudSystem.clouds.forEach(cloud => {
+        cloud.material.color.set(0x8A8F99);
+      });
+      this.scene.add(this.cloudSystem);
+
+      // Create rain falling from the clouds, starting dry
+      this.rainSystem = new RainSystem(this.game, {
+        intensity: 0,
+        areaSize: 120,
+        height: { min: 0, max: 30 },
+        windSpeed: this.cloudSystem.options.windSpeed
+      });
+      this.scene.add(this.rainSystem);
+
+      // Create puddles on the ground
+      this.createPuddles();
+
+      // Create duck
+      this.duck = new Duck(this.game, { interactionScope: this });
+      await this.duck.load();
+      this.duck.position.set(0, 18, 0);
+      this.duck.scale.set(4, 4, 4);
+      this.scene.add(this.duck);
+
+      // Preload sounds
+      try {
+        if (this.game.audioManager) {
+          await this.game.audioManager.preloadSounds({
+            'quack': 'sounds/quack.mp3',
+            'rain': 'sounds/rain.mp3',
+            'success': 'sounds/success.mp3'
+          });
+        }
+      } catch (error) {
+        console.warn('Error loading sounds, continuing without audio:', error);
+      }
+
+      console.log('Rain Shower scene initialized');
+    } catch (error) {
+      console.error('Error initializing Rain Shower scene:', error);
+      // Ensure we mark the scene as initialized even if there's an error
+      this.isInitialized = true;
+      this.isActive = true;
+    }
+  }
+
+  /**
+   * Enter the scene
+   * @param {BaseScene|null} previousScene - Scene being left, if any
+   */
+  onEnter(previousScene) {
+    this.setupCamera();
+
+    // Play ambient rain sound
+    if (this.game.audioManager) {
+      this.game.audioManager.playSound('rain', {
+        volume: 0.4,
+        loop: true
+      });
+    }
+
+    // Explain what is happening once the rain starts
+    this.addTimer(() => {
+      this.showCauseEffect();
+    }, this.weather.duration * 1000);
+  }
+
+  /**
+   * Leave the scene
+   * @param {BaseScene} nextScene - Scene being entered
+   */
+  onExit(nextScene) {
+    super.onExit(nextScene);
+
+    // Stop any sounds
+    if (this.game.audioManager) {
+      this.game.audioManager.stopSound('rain');
+    }
+
+    // Remove the explanation
+    if (this.causeEffectId && this.game.uiSystem) {
+      this.game.uiSystem.hideElement(this.causeEffectId);
+      this.causeEffectId = null;
+    }
+  }
+
+  /**
+   * Create puddle meshes that grow while it rains
+   */
+  createPuddles() {
+    try {
+      for (let i = 0; i < this.puddleCount; i++) {
+        const geometry = new THREE.CircleGeometry(1, 32);
+
+        // Rotate to be horizontal (XZ plane)
+        geometry.rotateX(-Math.PI / 2);
+
+        const material = new THREE.MeshStandardMaterial({
+          color: 0x5C7FA8,
+          roughness: 0.1,
+          metalness: 0.6,
+          transparent: true,
+          opacity: 0.85,
+          polygonOffset: true,
+          polygonOffsetFactor: -1
+        });
+
+        const puddle = new THREE.Mesh(geometry, material);
+
+        // Random position on the ground, away from the duck's shadow
+        const radius = 10 + Math.random() * 30;
+        const theta = Math.random() * Math.PI * 2;
+        puddle.position.set(radius * Math.cos(theta), 0.05, radius * Math.sin(theta));
+
+        // Start as a tiny drop and grow to a random size
+        puddle.userData.radius = 0.01;
+        puddle.userData.maxRadius = 3 + Math.random() * 4;
+        puddle.scale.set(puddle.userData.radius, 1, puddle.userData.radius);
+        puddle.receiveShadow = true;
+
+        this.scene.add(puddle);
+        this.puddles.push(puddle);
+      }
+    } catch (error) {
+      console.error('Error creating puddles:', error);
+    }
+  }
+
+  /**
+   * Setup camera for this scene
+   */
+  setupCamera() {
+    try {
+      // Look down past Sunny so the puddles below are in view
+      this.setupCameraSway(new THREE.Vector3(-35, 28, -45), new THREE.Vector3(0, 10, 0), {
+        amplitude: 0.05
+      });
+    } catch (error) {
+      console.error('Error setting up camera:', error);
+    }
+  }
+
+  /**
+   * Show the cause and effect explanation
+   */
+  showCauseEffect() {
+    if (!this.game.uiSystem) return;
+
+    this.causeEffectId = this.game.uiSystem.showCauseEffect(
+      this.game.i18n.t('rain.cause'),
+      this.game.i18n.t('rain.effect'),
+      { position: 'bottom-left', animation: 'fade' }
+    );
+  }
+
+  /**
+   * Update the clear-to-rainy weather transition
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  updateWeather(deltaTime) {
+    if (this.weather.progress >= 1) return;
+
+    this.weather.progress = Math.min(this.weather.progress + deltaTime / this.weather.duration, 1);
+    const t = this.weather.progress;
+
+    // Darken the sky shader
+    const uniforms = this.sky.material.uniforms;
+    uniforms.topColor.value.lerpColors(this.weather.skyTop.from, this.weather.skyTop.to, t);
+    uniforms.bottomColor.value.lerpColors(this.weather.skyBottom.from, this.weather.skyBottom.to, t);
+
+    // Dim the lights
+    const { ambientIntensity, sunIntensity } = this.weather;
+    this.lights.ambient.intensity = ambientIntensity.from + (ambientIntensity.to - ambientIntensity.from) * t;
+    this.lights.directional.intensity = sunIntensity.from + (sunIntensity.to - sunIntensity.from) * t;
+
+    // Rain gets heavier as the sky darkens
+    this.rainSystem.setIntensity(t);
+  }
+
+  /**
+   * Grow puddles according to the current rain intensity
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  updatePuddles(deltaTime) {
+    let allFilled = true;
+
+    for (const puddle of this.puddles) {
+      const { maxRadius } = puddle.userData;
+      const growth = (maxRadius / this.puddleGrowthTime) * this.rainSystem.intensity * deltaTime;
+
+      puddle.userData.radius = Math.min(puddle.userData.radius + growth, maxRadius);
+      puddle.scale.set(puddle.userData.radius, 1, puddle.userData.radius);
+
+      if (puddle.userData.radius < maxRadius) {
+        allFilled = false;
+      }
+    }
+
+    if (allFilled && !this.puddlesFilled) {
+      this.onPuddlesFilled();
+    }
+  }
+
+  /**
+   * Handle all puddles being filled
+   */
+  onPuddlesFilled() {
+    this.puddlesFilled = true;
+    console.log('All puddles filled!');
+
+    if (this.game.uiSystem) {
+      this.game.uiSystem.showFeedback(this.game.i18n.t('rain.puddles'), 'success', {
+        duration: 3000,
+        animation: 'pop'
+      });
+    }
+
+    if (this.game.audioManager) {
+      this.game.audioManager.playSound('success');
+    }
+
+    // Dispatch completion event
+    eventBus.emit(EventBus.EVENTS.PUDDLES_FILLED, {
+      count: this.puddles.length
+    });
+  }
+
+  /**
+   * Update the scene
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    try {
+      // Update camera sway
+      this.updateCameraSway(deltaTime);
+
+      // Update weather
+      if (this.sky && this.rainSystem) {
+        this.updateWeather(deltaTime);
+      }
+
+      // Update cloud system
+      if (this.cloudSystem) {
+        this.cloudSystem.update(deltaTime);
+      }
+
+      // Update rain and puddles
+      if (this.rainSystem) {
+        this.rainSystem.update(deltaTime);
+        this.updatePuddles(deltaTime);
+      }
+
+      // Update duck
+      if (this.duck) {
+        this.duck.update(deltaTime);
+      }
+    } catch (error) {
+      console.error('Error updating scene:', error);
+    }
+  }
+
+  /**
+   * Clean up the scene
+   */
+  cleanup() {
+    try {
+      this.puddles = [];
+
+      // Call parent cleanup
+      super.cleanup();
+    } catch (error) {
+      console.error('Error cleaning up scene:', error);
+    }
+  }
+}
@@ -0,0 +1,304 @@
+import * as THREE from 'three';
+import { BaseScene } from './BaseScene.js';
+import eventBus, { EventBus } from '../utils/EventBus.js';
+import { Duck } from '../objects/Duck.js';
+import { CloudSystem } from '../objects/Cloud.js';
+import { Rainbow } from '../objects/Rainbow.js';
+
+/**
+ * The Rainbow Bridge scene - fourth scene in the story
+ */
+export class RainbowBridgeScene extends BaseScene {
+  /**
+   * Create a new RainbowBridgeScene
+   * @param {Game} game - Reference to the main game instance
+   */
+  constructor(game) {
+    super(game);
+
+    // Scene-specific elements
+    this.duck = null;
+    this.cloudSystem = null;
+    this.rainbow = null;
+
+    // Sunny's progress along the rainbow (0.0 at the top, 1.0 at the bottom)
+    this.duckProgress = 0;
+    this.duckHeightOffset = 3; // Keep Sunny sitting on top of the rainbow tube
+    this.currentBandIndex = -1;
+    this.visitedBands = new Set();
+    this.rainbowCompleted = false;
+
+    // UI
+    this.colorNameId = null;
+  }
+
+  /**
+   * Initialize the scene
+   * @returns {Promise} - Resolves when initialization is complete
+   */
+  async init() {
+    try {
+      // Call parent init to create common elements
+      await super.init();
+
+      console.log('Initializing Rainbow Bridge scene');
+
+      // Brighten the sky after the rain
+      this.sky.material.uniforms.topColor.value.set(0.45, 0.78, 1.0);
+      this.sky.material.uniforms.bottomColor.value.set(1.0, 0.95, 0.9);
+
+      // Create a few light clouds
+      this.cloudSystem = new CloudSystem(this.game, 20, {
+        radius: 90,
+        height: { min: 45, max: 60 },
+        interactive: false,
+        windSpeed: { x: 1, y: 0, z: 0 }
+      });
+      this.scene.add(this.cloudSystem);
+
+      // Create rainbow path
+      this.rainbow = new Rainbow(this.game);
+      this.scene.add(this.rainbow);
+
+      // Create duck at the top of the rainbow
+      this.duck = new Duck(this.game, { interactionScope: this });
+      await this.duck.load();
+      this.duck.scale.set(3, 3, 3);
+      this.scene.add(this.duck);
+
+      // Preload sounds
+      try {
+        if (this.game.audioManager) {
+          await Promise.all([
+            this.game.audioManager.preloadSounds({
+              'quack': 'sounds/quack.mp3',
+              'success': 'sounds/success.mp3'
+            }),
+
+            // Color name narration
+            this.game.audioManager.preloadNarration(this.rainbow.colorBands.map(band => `color${band.name}`))
+          ]);
+        }
+      } catch (error) {
+        console.warn('Error loading sounds, continuing without audio:', error);
+      }
+
+      console.log('Rainbow Bridge scene initialized');
+    } catch (error) {
+      console.error('Error initializing Rainbow Bridge scene:', error);
+      // Ensure we mark the scene as initialized even if there's an error
+      this.isInitialized = true;
+      this.isActive = true;
+    }
+  }
+
+  /**
+   * Enter the scene
+   * @param {BaseScene|null} previousScene - Scene being left, if any
+   */
+  onEnter(previousScene) {
+    try {
+      this.setupCamera();
+
+      // Start Sunny at the top of the rainbow
+      this.duckProgress = 0;
+      this.visitedBands.clear();
+      this.rainbowCompleted = false;
+      this.duck.position.copy(this.getDuckPosition(0));
+      this.duck.dragConstraint = this.constrainDuckToRainbow.bind(this);
+
+      // Name the first color. It only counts as visited once Sunny is dragged.
+      this.currentBandIndex = this.rainbow.getBandIndex(0);
+      this.announceColor(this.currentBandIndex);
+
+      if (this.game.uiSystem) {
+        this.game.uiSystem.showFeedback(this.game.i18n.t('rainbow.intro'), 'info', {
+          duration: 3000,
+          animation: 'fade'
+        });
+      }
+    } catch (error) {
+      console.error('Error entering scene:', error);
+    }
+  }
+
+  /**
+   * Leave the scene
+   * @param {BaseScene} nextScene - Scene being entered
+   */
+  onExit(nextScene) {
+    super.onExit(nextScene);
+    this.hideColorName();
+  }
+
+  /**
+   * Remove the color name
+   */
+  hideColorName() {
+    if (this.colorNameId && this.game.uiSystem) {
+      this.game.uiSystem.hideElement(this.colorNameId);
+      this.colorNameId = null;
+    }
+  }
+
+  /**
+   * Setup camera for this scene
+   */
+  setupCamera() {
+    try {
+      // Face the rainbow side-on so the whole arc is visible
+      this.setupCameraSway(new THREE.Vector3(0, 25, 100), new THREE.Vector3(-5, 25, 0));
+    } catch (error) {
+      console.error('Error setting up camera:', error);
+    }
+  }
+
+  /**
+   * Get Sunny's position for a given progress along the rainbow
+   * @param {number} progress - Progress along the path (0.0 to 1.0)
+   * @returns {THREE.Vector3} - Position in world space
+   */
+  getDuckPosition(progress) {
+    const position = this.rainbow.getPointAt(progress);
+    position.y += this.duckHeightOffset;
+    return position;
+  }
+
+  /**
+   * Drag constraint keeping Sunny on the rainbow
+   * @param {THREE.Vector3} newPosition - Position the duck is dragged to
+   * @returns {THREE.Vector3} - Closest allowed position on the rainbow
+   */
+  constrainDuckToRainbow(newPosition) {
+    const progress = this.rainbow.getClosestProgress(newPosition);
+    this.onDuckProgress(progress);
+    return this.getDuckPosition(progress);
+  }
+
+  /**
+   * Handle Sunny moving along the rainbow
+   * @param {number} progress - Progress along the path (0.0 to 1.0)
+   */
+  onDuckProgress(progress) {
+    this.duckProgress = progress;
+
+    const bandIndex = this.rainbow.getBandIndex(progress);
+    if (bandIndex !== this.currentBandIndex) {
+      this.currentBandIndex = bandIndex;
+      this.announceColor(bandIndex);
+    }
+
+    // A color is reached the first time Sunny is dragged onto it
+    if (!this.visitedBands.has(bandIndex)) {
+      this.visitedBands.add(bandIndex);
+
+      eventBus.emit(EventBus.EVENTS.RAINBOW_COLOR_REACHED, {
+        color: this.rainbow.colorBands[bandIndex].name,
+        visited: this.visitedBands.size
+      });
+    }
+
+    // Finished once Sunny reaches the bottom having crossed every color
+    if (!this.rainbowCompleted &&
+        progress >= 0.98 &&
+        this.visitedBands.size === this.rainbow.colorBands.length) {
+      this.onRainbowCompleted();
+    }
+  }
+
+  /**
+   * Highlight and name a color band
+   * @param {number} bandIndex - Index of the color band
+   */
+  announceColor(bandIndex) {
+    const band = this.rainbow.colorBands[bandIndex];
+
+    this.rainbow.highlightSegment(bandIndex);
+
+    if (this.game.uiSystem) {
+      // Only show one color name at a time
+      if (this.colorNameId) {
+        this.game.uiSystem.hideElement(this.colorNameId);
+      }
+
+      const colorValue = `#${new THREE.Color(band.color).getHexString()}`;
+      this.colorNameId = this.game.uiSystem.showColorName(this.game.i18n.t(`color.${band.name}`), colorValue, {
+        size: 'large',
+        animation: 'pop'
+      });
+    }
+
+    // Only the latest color is worth saying when Sunny slides through several
+    if (this.game.narrationQueue) {
+      this.game.narrationQueue.enqueue(`color${band.name}`, {
+        text: this.game.i18n.t(`color.${band.name}`),
+        group: 'color'
+      });
+    }
+  }
+
+  /**
+   * Handle Sunny reaching the bottom of the rainbow
+   */
+  onRainbowCompleted() {
+    this.rainbowCompleted = true;
+    console.log('Rainbow completed!');
+
+    // Stop dragging Sunny once the slide is over
+    this.duck.dragConstraint = null;
+
+    if (this.game.uiSystem) {
+      this.game.uiSystem.showFeedback(this.game.i18n.t('rainbow.done'), 'success', {
+        duration: 3000,
+        animation: 'pop'
+      });
+    }
+
+    if (this.game.audioManager) {
+      this.game.audioManager.playSound('success');
+    }
+
+    // Dispatch completion event
+    eventBus.emit(EventBus.EVENTS.RAINBOW_COMPLETED, {
+      colors: this.rainbow.colorBands.map(band => band.name)
+    });
+  }
+
+  /**
+   * Update the scene
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    try {
+      // Update camera sway
+      this.updateCameraSway(deltaTime);
+
+      // Update cloud system
+      if (this.cloudSystem) {
+        this.cloudSystem.update(deltaTime);
+      }
+
+      // Update duck
+      if (this.duck) {
+        this.duck.update(deltaTime);
+      }
+    } catch (error) {
+      console.error('Error updating scene:', error);
+    }
+  }
+
+  /**
+   * Clean up the scene
+   */
+  cleanup() {
+    try {
+      // Remove the color name
+      this.hideColorName();
+
+      // Call parent cleanup
+      super.cleanup();
+    } catch (error) {
+      console.error('Error cleaning up scene:', error);
+    }
+  }
+}
@@ -0,0 +1,65 @@
+import { CalmPondScene } from './CalmPondScene.js';
+import { CloudsScene } from './CloudsScene.js';
+import { RainShowerScene } from './RainShowerScene.js';
+import { RainbowBridgeScene } from './RainbowBridgeScene.js';
+import { BackHomeScene } from './BackHomeScene.js';
+import { EventBus } from '../utils/EventBus.js';
+
+/**
+ * Story definition for Sunny's adventure.
+ *
+ * Each scene node lists:
+ * - sceneClass: BaseScene subclass registered under the node's name
+ * - completionEvent: game event (see EventBus.EVENTS) the scene emits when its activity is done
+ * - next: name of the scene to move on to (null at the end of the story)
+ * - delay: milliseconds to wait after completion, so celebrations can play
+ * - exitMessage: optional feedback shown just before leaving the scene ({ key, type }: message key and feedback type)
+ * - transition: optional SceneManager.transitionTo() options used to reach the next scene
+ * - music: optional name of the music track played in the scene (see AdaptiveMusic)
+ *
+ * Music tracks are listed under music by name. There are none until the stems are added
+ * (see sounds/README.md).
+ */
+export const storyGraph = {
+  start: 'calmPond',
+  scenes: {
+    calmPond: {
+      sceneClass: CalmPondScene,
+      completionEvent: EventBus.EVENTS.START_ANIMATION_COMPLETED,
+      next: 'clouds',
+      delay: 2000,
+      exitMessage: { key: 'story.readyForClouds', type: 'success' },
+      transition: { type: 'cloudWipe', duration: 2.0 }
+    },
+    clouds: {
+      sceneClass: CloudsScene,
+      completionEvent: EventBus.EVENTS.COUNTING_COMPLETED,
+      next: 'rainShower',
+      delay: 3000,
+      exitMessage: { key: 'story.cloudsDarken', type: 'info' },
+      transition: { type: 'crossDissolve', duration: 2.0 }
+    },
+    rainShower: {
+      sceneClass: RainShowerScene,
+      completionEvent: EventBus.EVENTS.PUDDLES_FILLED,
+      next: 'rainbowBridge',
+      delay: 3000,
+      exitMessage: { key: 'story.rainStopping', type: 'info' },
+      transition: { type: 'crossDissolve', duration: 2.0 }
+    },
+    rainbowBridge: {
+      sceneClass: RainbowBridgeScene,
+      completionEvent: EventBus.EVENTS.RAINBOW_COMPLETED,
+      next: 'backHome',
+      delay: 3000,
+      exitMessage: { key: 'story.timeToGoHome', type: 'info' },
+      transition: { type: 'cloudWipe', duration: 2.0 }
+    },
+    backHome: {
+      sceneClass: BackHomeScene,
+      completionEvent: null,
+      next: null
+    }
+  },
+  music: {}
+};
@@ -1,45 +1,131 @@
 /**
- * Event bus for game-wide communication
+ * Event bus for game-wide communication.
+ *
+ * Game events are listed in EventBus.EVENTS; use those constants rather than literal names.
+ * Listeners are called with the event's detail and an event object ({ name, cancelled, cancel() }).
+ * They can listen for one event, for a namespace ('cloud:*') or for everything ('*').
+ *
+ * Listeners run by priority, highest first, then in the order they were added. A listener can
+ * cancel the event to stop the listeners after it; emit() reports whether the event was cancelled.
+ *
+ * A listener can be registered with a scope (usually the scene it belongs to) and removed
+ * with everything else in that scope by offScope(). SceneManager does this when a scene is exited.
+ *
+ * With tracing on (setTrace()), emitted events are kept in a history that can be inspected
+ * and replayed when debugging.
  */
 export class EventBus {
   /**
    * Create a new EventBus
    */
   constructor() {
+    // Listeners by event name or pattern
     this.listeners = {};
+    this.listenerCounter = 0;
+
+    // Known event names, to catch typos
+    this.eventNames = new Set(Object.values(EventBus.EVENTS));
+
+    // Tracing
+    this.trace = {
+      enabled: false,
+      log: false, // Also log events to the console
+      limit: 500, // Events kept in the history
+      replaying: false
+    };
+    this.history = [];
   }
 
   /**
-   * Add an event listener
+   * Check whether an event name matches a listener's name or pattern
+   * @param {string} pattern - Event name, namespace pattern ('cloud:*') or '*'
    * @param {string} event - Event name
-   * @param {Function} callback - Callback function
-   * @param {Object} context - Context for the callback
+   * @returns {boolean} - True if the pattern matches
    */
-  on(event, callback, context = null) {
+  static matches(pattern, event) {
+    if (pattern === '*' || pattern === event) return true;
+    return pattern.endsWith(':*') && event.startsWith(pattern.slice(0, -1));
+  }
+
+  /**
+   * Check whether an event name or pattern is known
+   * @param {string} event - Event name or pattern
+   * @returns {boolean} - True if it names or matches a cataloged event
+   */
+  isKnownEvent(event) {
+    if (event === '*' || this.eventNames.has(event)) return true;
+
+    if (event.endsWith(':*')) {
+      return [...this.eventNames].some(name => EventBus.matches(event, name));
+    }
+
+    return false;
+  }
+
+  /**
+   * Add an event listener
+   * @param {string} event - Event name (see EventBus.EVENTS), namespace pattern ('cloud:*') or '*'
+   * @param {Function} callback - Callback function, called with the event's detail and the event object
+   * @param {Object} options - Listener options ({ context, scope, priority }; priority defaults to 0).
+   *   original: the callback a wrapper stands in for, so off() finds it by either (used by once())
+   * @returns {Function} - Removes this listener only
+   */
+  on(event, callback, options = {}) {
+    if (!this.isKnownEvent(event)) {
+      console.warn(`Listening for an unknown event: ${event}`);
+    }
+
     if (!this.listeners[event]) {
       this.listeners[event] = [];
     }
 
-    this.listeners[event].push({
+    const listener = {
       callback,
-      context
-    });
+      original: options.original || null,
+      context: options.context || null,
+      scope: options.scope || null,
+      priority: options.priority || 0,
+      order: ++this.listenerCounter
+    };
+
+    this.listeners[event].push(listener);
+
+    return () => this.removeListeners(event, entry => entry === listener);
   }
 
   /**
    * Remove an event listener
-   * @param {string} event - Event name
-   * @param {Function} callback - Callback function
-   * @param {Object} context - Context for the callback
+   * @param {string} event - Event name or pattern it was added with
+   * @param {Function} callback - Callback function, as passed to on() or once()
+   * @param {Object} context - Context it was added with
    */
   off(event, callback, context = null) {
+    this.removeListeners(event, (listener) => {
+      return (listener.callback === callback || listener.original === callback) && listener.context === context;
+    });
+  }
+
+  /**
+   * Remove every listener registered with a scope
+   * @param {Object} scope - Scope the listeners were registered with
+   */
+  offScope(scope) {
+    for (const event of Object.keys(this.listeners)) {
+      this.removeListeners(event, listener => listener.scope === scope);
+    }
+  }
+
+  /**
+   * Remove the listeners of an event that pass a test
+   * @param {string} event - Event name or pattern they were added with
+   * @param {Function} test - Called with each listener entry, returns true to remove it
+   */
+  removeListeners(event, test) {
     if (!this.listeners[event]) {
       return;
     }
 
-    this.listeners[event] = this.listeners[event].filter(listener => {
-      return listener.callback !== callback || listener.context !== context;
-    });
+    this.listeners[event] = this.listeners[event].filter(listener => !test(listener));
 
     // Clean up empty event arrays
     if (this.listeners[event].length === 0) {
@@ -48,62 +134,205 @@ export class EventBus {
   }
 
   /**
-   * Emit an event
+   * Get the listeners for an event, including pattern listeners, in the order they run
    * @param {string} event - Event name
-   * @param {...any} args - Arguments to pass to listeners
+   * @returns {Array<Object>} - Listeners
    */
-  emit(event, ...args) {
-    if (!this.listeners[event]) {
-      return;
+  getListeners(event) {
+    const listeners = [];
+
+    for (const [key, keyListeners] of Object.entries(this.listeners)) {
+      if (EventBus.matches(key, event)) {
+        listeners.push(...keyListeners);
+      }
+    }
+
+    return listeners.sort((a, b) => b.priority - a.priority || a.order - b.order);
+  }
+
+  /**
+   * Create the event object passed to listeners
+   * @param {string} event - Event name
+   * @returns {Object} - { name, cancelled, cancel() }
+   */
+  createEvent(event) {
+    return {
+      name: event,
+      cancelled: false,
+      cancel() {
+        this.cancelled = true;
+      }
+    };
+  }
+
+  /**
+   * Emit an event
+   * @param {string} event - Event name (see EventBus.EVENTS)
+   * @param {Object} detail - Event detail passed to listeners
+   * @returns {boolean} - False if a listener cancelled the event
+   */
+  emit(event, detail = {}) {
+    if (!this.eventNames.has(event)) {
+      console.warn(`Emitting an unknown event: ${event}`);
     }
 
-    // Create a copy of the listeners array to avoid issues if listeners are added/removed during emission
-    const listeners = [...this.listeners[event]];
+    const eventObject = this.createEvent(event);
+    const listeners = this.getListeners(event);
 
     for (const listener of listeners) {
-      if (listener.context) {
-        listener.callback.apply(listener.context, args);
-      } else {
-        listener.callback(...args);
+      try {
+        listener.callback.call(listener.context, detail, eventObject);
+      } catch (error) {
+        // One failing listener shouldn't stop the others
+        console.error(`Error in listener for ${event}:`, error);
       }
+
+      if (eventObject.cancelled) break;
     }
+
+    this.record(event, detail, listeners.length, eventObject.cancelled);
+
+    return !eventObject.cancelled;
+  }
+
+  /**
+   * Emit an event, waiting for each listener in turn when it returns a promise
+   * @param {string} event - Event name (see EventBus.EVENTS)
+   * @param {Object} detail - Event detail passed to listeners
+   * @returns {Promise<boolean>} - Resolves to false if a listener cancelled the event
+   */
+  async emitAsync(event, detail = {}) {
+    if (!this.eventNames.has(event)) {
+      console.warn(`Emitting an unknown event: ${event}`);
+    }
+
+    const eventObject = this.createEvent(event);
+    const listeners = this.getListeners(event);
+
+    for (const listener of listeners) {
+      try {
+        await listener.callback.call(listener.context, detail, eventObject);
+      } catch (error) {
+        console.error(`Error in listener for ${event}:`, error);
+      }
+
+      if (eventObject.cancelled) break;
+    }
+
+    this.record(event, detail, listeners.length, eventObject.cancelled);
+
+    return !eventObject.cancelled;
   }
 
   /**
    * Add a one-time event listener
-   * @param {string} event - Event name
+   * @param {string} event - Event name or pattern
    * @param {Function} callback - Callback function
-   * @param {Object} context - Context for the callback
-   */
-  once(event, callback, context = null) {
-    const onceCallback = (...args) => {
-      this.off(event, onceCallback, context);
-      if (context) {
-        callback.apply(context, args);
-      } else {
-        callback(...args);
-      }
+   * @param {Object} options - Listener options ({ context, scope, priority })
+   * @returns {Function} - Removes the listener
+   */
+  once(event, callback, options = {}) {
+    const onceCallback = (detail, eventObject) => {
+      remove();
+      return callback.call(options.context || null, detail, eventObject);
+    };
+
+    const remove = this.on(event, onceCallback, { ...options, original: callback });
+    return remove;
+  }
+
+  /**
+   * Turn tracing on or off.
+   * The history keeps each event's detail as it was emitted, objects included (scenes, clouds),
+   * so it holds on to them and shows their current state rather than a snapshot.
+   * @param {boolean} enabled - Whether to record emitted events
+   * @param {Object} options - Trace options ({ log, limit })
+   */
+  setTrace(enabled, options = {}) {
+    this.trace = { ...this.trace, ...options, enabled };
+  }
+
+  /**
+   * Add an emitted event to the history when tracing
+   * @param {string} event - Event name
+   * @param {Object} detail - Event detail
+   * @param {number} listenerCount - Number of listeners the event was sent to
+   * @param {boolean} cancelled - Whether a listener cancelled it
+   */
+  record(event, detail, listenerCount, cancelled) {
+    if (!this.trace.enabled || this.trace.replaying) return;
+
+    const entry = {
+      name: event,
+      detail,
+      time: performance.now(),
+      listenerCount,
+      cancelled
     };
 
-    this.on(event, onceCallback, context);
+    this.history.push(entry);
+    if (this.history.length > this.trace.limit) {
+      this.history.splice(0, this.history.length - this.trace.limit);
+    }
+
+    if (this.trace.log) {
+      console.debug(`[event] ${event}`, detail, `${listenerCount} listener(s)${cancelled ? ', cancelled' : ''}`);
+    }
+  }
+
+  /**
+   * Get the traced events
+   * @param {string} pattern - Only events matching this name or pattern (defaults to all)
+   * @returns {Array<Object>} - Entries { name, detail, time, listenerCount, cancelled }, oldest first
+   */
+  getHistory(pattern = '*') {
+    return this.history.filter(entry => EventBus.matches(pattern, entry.name));
+  }
+
+  /**
+   * Forget the traced events
+   */
+  clearHistory() {
+    this.history = [];
+  }
+
+  /**
+   * Emit traced events again, in order. Events a listener cancelled are skipped,
+   * and replayed events aren't added to the history.
+   * @param {string} pattern - Only events matching this name or pattern (defaults to all)
+   * @returns {number} - Number of events replayed
+   */
+  replay(pattern = '*') {
+    const entries = this.getHistory(pattern).filter(entry => !entry.cancelled);
+
+    this.trace.replaying = true;
+    try {
+      for (const entry of entries) {
+        this.emit(entry.name, entry.detail);
+      }
+    } finally {
+      this.trace.replaying = false;
+    }
+
+    return entries.length;
   }
 
   /**
    * Check if an event has listeners
    * @param {string} event - Event name
-   * @returns {boolean} - True if the event has listeners
+   * @returns {boolean} - True if the event has listeners, including pattern listeners
    */
   hasListeners(event) {
-    return !!this.listeners[event] && this.listeners[event].length > 0;
+    return this.listenerCount(event) > 0;
   }
 
   /**
    * Get the number of listeners for an event
    * @param {string} event - Event name
-   * @returns {number} - Number of listeners
+   * @returns {number} - Number of listeners, including pattern listeners
    */
   listenerCount(event) {
-    return this.listeners[event] ? this.listeners[event].length : 0;
+    return this.getListeners(event).length;
   }
 
   /**
@@ -119,6 +348,41 @@ export class EventBus {
   }
 }
 
+/**
+ * Game events, named 'namespace:event'. The comment after each lists its detail.
+ */
+EventBus.EVENTS = {
+  // Story
+  SCENE_ENTERED: 'scene:entered', // { name, scene } - after the transition into the scene
+  SCENE_EXITED: 'scene:exited', // { name, scene } - before the transition out of the scene
+  SCENE_COMPLETED: 'scene:completed', // { name } - the scene's activity is done
+
+  // Activities
+  START_ANIMATION_COMPLETED: 'pond:startAnimationCompleted', // { scene }
+  DUCK_QUACKED: 'duck:quacked', // { duck }
+  CLOUD_TAPPED: 'cloud:tapped', // { cloud, number, counted } - counted: it was already counted
+  CLOUD_COUNTED: 'cloud:counted', // { cloud, number }
+  COUNTING_COMPLETED: 'cloud:countingCompleted', // { count, mode, level, mistakes, hints, successRate, nextLevel }
+  PUDDLES_FILLED: 'rain:puddlesFilled', // { count }
+  RAINBOW_COLOR_REACHED: 'rainbow:colorReached', // { color, visited } - first visit to a color
+  RAINBOW_COMPLETED: 'rainbow:completed', // { colors }
+
+  // Input
+  GESTURE: 'input:gesture', // { type, object, phase, ... } - see GestureRecognizer
+
+  // Audio
+  NARRATION_STARTED: 'audio:narrationStarted', // { id, text }
+  NARRATION_ENDED: 'audio:narrationEnded', // { id } - only when the line finished playing
+
+  // UI
+  PARENTAL_GATE_PASSED: 'ui:parentalGatePassed', // { mode }
+  PARENTAL_GATE_CANCELLED: 'ui:parentalGateCancelled', // { mode }
+
+  // Settings
+  SETTINGS_CHANGED: 'settings:changed', // { key, value }
+  LOCALE_CHANGED: 'i18n:localeChanged' // { locale, direction }
+};
+
 // Create a singleton instance
 const eventBus = new EventBus();
 
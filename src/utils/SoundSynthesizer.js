@@ -0,0 +1,228 @@
+/**
+ * Renders simple procedural sounds with an OfflineAudioContext.
+ * Used by AudioManager when a sound file is missing, so the game is audible
+ * without any assets in sounds/.
+ */
+export class SoundSynthesizer {
+  /**
+   * Create a new SoundSynthesizer
+   * @param {number} sampleRate - Sample rate of the AudioContext the sounds are played with
+   */
+  constructor(sampleRate = 44100) {
+    this.sampleRate = sampleRate;
+    this.OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext || null;
+  }
+
+  /**
+   * Synthesize a stand-in for a sound ID
+   * @param {string} id - Sound ID (e.g. 'quack', 'cloudPop', 'number3')
+   * @returns {Promise<AudioBuffer|null>} - The sound, or null if there is no recipe for the ID
+   */
+  async synthesize(id) {
+    if (!this.OfflineContextClass) return null;
+
+    // Counting narration: one blip per number
+    const numberMatch = /^number(\d+)$/.exec(id);
+    if (numberMatch) {
+      return this.createCount(parseInt(numberMatch[1], 10));
+    }
+
+    // Color narration: a note per rainbow color
+    const colorMatch = /^color(\w+)$/.exec(id);
+    if (colorMatch) {
+      const index = SoundSynthesizer.COLOR_NOTES.indexOf(colorMatch[1]);
+      return this.createNote(523.25 * Math.pow(2, Math.max(index, 0) / 7)); // C5 upwards
+    }
+
+    switch (id) {
+      case 'quack':
+        return this.createQuack();
+      case 'cloudPop':
+        return this.createPop();
+      case 'success':
+        return this.createChime();
+      case 'rain':
+        return this.createNoise(3.0, 2500, 0.5);
+      case 'water':
+        return this.createNoise(3.0, 500, 0.6);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Render a sound graph offline
+   * @param {number} duration - Length in seconds
+   * @param {Function} build - Called with the OfflineAudioContext to build the graph
+   * @returns {Promise<AudioBuffer>} - Rendered audio
+   */
+  render(duration, build) {
+    const context = new this.OfflineContextClass(1, Math.ceil(duration * this.sampleRate), this.sampleRate);
+    build(context);
+    return context.startRendering();
+  }
+
+  /**
+   * Create a gain envelope: quick attack, then exponential decay
+   * @param {BaseAudioContext} context - Audio context
+   * @param {number} start - Start time in seconds
+   * @param {number} peak - Peak gain
+   * @param {number} decay - Decay time in seconds
+   * @returns {GainNode} - Gain node with the envelope scheduled
+   */
+  createEnvelope(context, start, peak, decay) {
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(peak, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + decay);
+    gain.connect(context.destination);
+    return gain;
+  }
+
+  /**
+   * Create a quack: a buzzy sawtooth through a sweeping nasal formant
+   * @returns {Promise<AudioBuffer>} - Rendered audio
+   */
+  createQuack() {
+    return this.render(0.35, (context) => {
+      const envelope = this.createEnvelope(context, 0, 0.6, 0.3);
+
+      const formant = context.createBiquadFilter();
+      formant.type = 'bandpass';
+      formant.Q.value = 4;
+      formant.frequency.setValueAtTime(900, 0);
+      formant.frequency.linearRampToValueAtTime(1600, 0.08);
+      formant.frequency.linearRampToValueAtTime(700, 0.3);
+      formant.connect(envelope);
+
+      const oscillator = context.createOscillator();
+      oscillator.type = 'sawtooth';
+      oscillator.frequency.setValueAtTime(520, 0);
+      oscillator.frequency.linearRampToValueAtTime(620, 0.06);
+      oscillator.frequency.exponentialRampToValueAtTime(380, 0.3);
+      oscillator.connect(formant);
+      oscillator.start(0);
+      oscillator.stop(0.35);
+    });
+  }
+
+  /**
+   * Create a bubbly pop: a fast upward sine sweep
+   * @returns {Promise<AudioBuffer>} - Rendered audio
+   */
+  createPop() {
+    return this.render(0.2, (context) => {
+      const envelope = this.createEnvelope(context, 0, 0.7, 0.15);
+
+      const oscillator = context.createOscillator();
+      oscillator.type = 'sine';
+      oscillator.frequency.setValueAtTime(300, 0);
+      oscillator.frequency.exponentialRampToValueAtTime(1400, 0.08);
+      oscillator.connect(envelope);
+      oscillator.start(0);
+      oscillator.stop(0.2);
+    });
+  }
+
+  /**
+   * Create a success chime: a rising major arpeggio
+   * @returns {Promise<AudioBuffer>} - Rendered audio
+   */
+  createChime() {
+    const notes = [523.25, 659.25, 783.99, 1046.5]; // C5 E5 G5 C6
+
+    return this.render(1.4, (context) => {
+      notes.forEach((frequency, index) => {
+        this.addBell(context, frequency, index * 0.12, 0.25, 0.9);
+      });
+    });
+  }
+
+  /**
+   * Create a single soft bell note
+   * @param {number} frequency - Note frequency in Hz
+   * @returns {Promise<AudioBuffer>} - Rendered audio
+   */
+  createNote(frequency) {
+    return this.render(0.8, (context) => {
+      this.addBell(context, frequency, 0, 0.35, 0.7);
+    });
+  }
+
+  /**
+   * Create a count: one blip per number, so toddlers can hear how many
+   * @param {number} count - Number of blips
+   * @returns {Promise<AudioBuffer>} - Rendered audio
+   */
+  createCount(count) {
+    const interval = 0.22;
+
+    return this.render(count * interval + 0.3, (context) => {
+      for (let i = 0; i < count; i++) {
+        this.addBell(context, 880, i * interval, 0.3, 0.2);
+      }
+    });
+  }
+
+  /**
+   * Add a bell-like note (sine with a quieter octave partial) to a graph
+   * @param {BaseAudioContext} context - Audio context
+   * @param {number} frequency - Note frequency in Hz
+   * @param {number} start - Start time in seconds
+   * @param {number} peak - Peak gain
+   * @param {number} decay - Decay time in seconds
+   */
+  addBell(context, frequency, start, peak, decay) {
+    for (const [multiple, level] of [[1, 1], [2, 0.3]]) {
+      const envelope = this.createEnvelope(context, start, peak * level, decay);
+
+      const oscillator = context.createOscillator();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency * multiple;
+      oscillator.connect(envelope);
+      oscillator.start(start);
+      oscillator.stop(start + decay);
+    }
+  }
+
+  /**
+   * Create loopable filtered noise, for rain or water ambience
+   * @param {number} duration - Length in seconds
+   * @param {number} cutoff - Lowpass cutoff in Hz (higher sounds more like rain)
+   * @param {number} level - Output gain
+   * @returns {Promise<AudioBuffer>} - Rendered audio
+   */
+  createNoise(duration, cutoff, level) {
+    return this.render(duration, (context) => {
+      const length = Math.ceil(duration * this.sampleRate);
+      const noise = context.createBuffer(1, length, this.sampleRate);
+      const data = noise.getChannelData(0);
+
+      for (let i = 0; i < length; i++) {
+        data[i] = Math.random() * 2 - 1;
+      }
+
+      // Filtered white noise has no pitch or rhythm, so the loop seam is barely audible
+      const source = context.createBufferSource();
+      source.buffer = noise;
+      source.loop = true;
+
+      const filter = context.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.value = cutoff;
+
+      const gain = context.createGain();
+      gain.gain.value = level;
+
+      source.connect(filter);
+      filter.connect(gain);
+      gain.connect(context.destination);
+      source.start(0);
+    });
+  }
+}
+
+/**
+ * Rainbow colors in order, used to pick a note for color narration
+ */
+SoundSynthesizer.COLOR_NOTES = ['Red', 'Orange', 'Yellow', 'Green', 'Blue', 'Indigo', 'Violet'];